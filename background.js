@@ -1,21 +1,190 @@
-// Track active state per tab
+importScripts("config.js", "export.js");
+
+// Track active state per tab. Mirrored to chrome.storage.session, because
+// the service worker (and this Set) goes away whenever Chrome suspends it.
+// Listeners that read it wait for activeTabsRestored first.
 const activeTabs = new Set();
+const activeTabsRestored = chrome.storage.session
+  .get({ activeTabs: [] })
+  .then((stored) => {
+    for (const tabId of stored.activeTabs) activeTabs.add(tabId);
+  });
+
+// Mark a tab active or inactive and persist the set
+function setTabActive(tabId, isActive) {
+  if (isActive) {
+    activeTabs.add(tabId);
+  } else {
+    activeTabs.delete(tabId);
+  }
+  chrome.storage.session
+    .set({ activeTabs: [...activeTabs] })
+    .catch((err) => console.warn(`Could not save active tabs: ${err}`));
+  postToPanels(tabId, { type: "status", active: isActive });
+}
+
+// Measurements kept per tab (mirrors HISTORY_LIMIT in content.js)
+const HISTORY_LIMIT = 500;
+
+// Serializes read-modify-write cycles on stored history
+let historyWriteQueue = Promise.resolve();
+
+// Each tab's history in memory, read from chrome.storage.session once. A
+// result is sent again for every stage that arrives (paint, settle, ...), so
+// changes are written back at most once per HISTORY_WRITE_DELAY_MS per tab.
+const tabHistories = new Map();
+const historyWriteTimers = new Map();
+const HISTORY_WRITE_DELAY_MS = 1000;
+
+// Flow replays: how often and how long to wait for the content script of a
+// page that is still loading, and for a page load caused by a step
+const REPLAY_CONNECT_ATTEMPTS = 20;
+const REPLAY_CONNECT_RETRY_MS = 250;
+const REPLAY_PAGE_LOAD_TIMEOUT_MS = 15000;
+// How long after a step's message failed its page may still report the
+// navigation that took the content script away
+const REPLAY_COMMIT_GRACE_MS = 1000;
+
+// DevTools protocol version requested when attaching the debugger
+const DEBUGGER_PROTOCOL_VERSION = "1.3";
+
+// Device profile simulated in each monitored tab (an id from DEVICE_PROFILES
+// in config.js), including "none" once picked. The debugger stays attached
+// to tabs whose profile slows the CPU down. Mirrored to storage.session
+// like activeTabs.
+const tabDeviceProfiles = new Map();
+const tabDeviceProfilesRestored = chrome.storage.session
+  .get({ tabDeviceProfiles: {} })
+  .then((stored) => {
+    for (const [tabId, profileId] of Object.entries(stored.tabDeviceProfiles)) {
+      tabDeviceProfiles.set(Number(tabId), profileId);
+    }
+  });
+
+function setTabDeviceProfile(tabId, profileId) {
+  if (profileId) {
+    tabDeviceProfiles.set(tabId, profileId);
+  } else {
+    tabDeviceProfiles.delete(tabId);
+  }
+  chrome.storage.session
+    .set({ tabDeviceProfiles: Object.fromEntries(tabDeviceProfiles) })
+    .catch((err) => console.warn(`Could not save device profiles: ${err}`));
+}
+
+// Tabs whose frames are captured to detect visual changes, see offscreen.js.
+// Mirrored to storage.session like activeTabs; the offscreen document keeps
+// capturing while the service worker is suspended.
+const pixelCaptureTabs = new Set();
+const pixelCaptureTabsRestored = chrome.storage.session
+  .get({ pixelCaptureTabs: [] })
+  .then((stored) => {
+    for (const tabId of stored.pixelCaptureTabs) pixelCaptureTabs.add(tabId);
+  });
+
+function setPixelCapture(tabId, capturing) {
+  if (capturing) {
+    pixelCaptureTabs.add(tabId);
+  } else {
+    pixelCaptureTabs.delete(tabId);
+  }
+  chrome.storage.session
+    .set({ pixelCaptureTabs: [...pixelCaptureTabs] })
+    .catch((err) => console.warn(`Could not save captured tabs: ${err}`));
+}
+
+// The one offscreen document of the extension, while any tab is captured
+const OFFSCREEN_DOCUMENT = "offscreen.html";
+let offscreenDocumentCreating = null;
+
+// Open "Click Latency" DevTools panels per inspected tab (see panel.js):
+// tabId → Set of ports
+const panelPorts = new Map();
+
+// Latest press reported by each tab's content script, so a cross-document
+// navigation it causes can be measured by the next page
+const lastPresses = new Map();
 
-// Function to inject necessary files
-async function injectScript(tabId) {
+// Settings for a tab: the stored config plus the site rule matching its URL,
+// with budgets narrowed to the ones for that URL.
+// Pass the URL while navigating, when tab.url may not be updated yet.
+async function getTabConfig(tabId, url) {
+  const config = await loadConfig();
+  const tabUrl = url || (await chrome.tabs.get(tabId)).url;
+  await tabDeviceProfilesRestored;
+  await pixelCaptureTabsRestored;
+  const device = findDeviceProfile(tabDeviceProfiles.get(tabId));
+  return {
+    ...config,
+    siteRule: findSiteRule(config, tabUrl),
+    // content.js shows each limit as config.js formats it
+    budgets: findBudgets(config, tabUrl).map((budget) => ({
+      ...budget,
+      limitText: formatBudgetLimit(budget),
+    })),
+    // The profile simulated in this tab, shown in the overlay as labeled here
+    simulatedDevice:
+      device.cpuThrottlingRate === 1
+        ? null
+        : { ...device, label: formatDeviceProfile(device) },
+    // A DevTools panel shows the results instead of the overlay
+    overlayHidden: config.devtoolsHidesOverlay && panelPorts.has(tabId),
+    // Presses in the top frame are watched for visual changes
+    pixelCapture: pixelCaptureTabs.has(tabId),
+  };
+}
+
+// Function to inject necessary files, into every frame of the tab or, with
+// frameId, into one frame that just loaded a document.
+// pendingNavigation is the press that led to the new document, if any.
+async function injectScript(
+  tabId,
+  { url, pendingNavigation = null, frameId } = {},
+) {
+  const target =
+    frameId === undefined
+      ? { tabId: tabId, allFrames: true }
+      : { tabId: tabId, frameIds: [frameId] };
   try {
-    await chrome.scripting.insertCSS({
-      target: { tabId: tabId },
-      files: ["style.css"],
+    // The whole tab: when the monitor starts, or its top frame navigated
+    if (!frameId) await startDeviceProfile(tabId);
+    // Hand the current settings to content.js, which reads them on startup
+    const config = await getTabConfig(tabId, url);
+    await chrome.scripting.executeScript({
+      target,
+      func: (config) => {
+        window.framesMonitorConfig = config;
+      },
+      args: [{ ...config, pendingNavigation }],
+      injectImmediately: true,
     });
+    // Framework hooks must run in the page's own JavaScript world, and
+    // before the page's scripts where possible; see page-hooks.js
     await chrome.scripting.executeScript({
-      target: { tabId: tabId },
+      target,
+      files: ["page-hooks.js"],
+      world: "MAIN",
+      injectImmediately: true,
+    });
+    // Right after a navigation commits this runs before the document has
+    // loaded; content.js waits for DOMContentLoaded itself.
+    await chrome.scripting.executeScript({
+      target,
       files: ["content.js"],
+      injectImmediately: true,
     });
-    activeTabs.add(tabId);
+    setTabActive(tabId, true);
     console.log(`Frames Monitor injected into tab ${tabId}`);
     updateIcon(tabId, true);
   } catch (err) {
+    if (frameId) {
+      // A subframe we can't access (e.g. another extension's page) doesn't
+      // stop the monitor in the rest of the tab
+      console.warn(
+        `Could not inject into frame ${frameId} of tab ${tabId}: ${err}`,
+      );
+      return;
+    }
     console.error(`Failed to inject script into tab ${tabId}: ${err}`);
     // Clean up if injection fails partially
     removeScript(tabId); // Try to remove if something went wrong
@@ -27,7 +196,7 @@ async function removeScript(tabId) {
   try {
     // Execute a cleanup function defined within content.js
     await chrome.scripting.executeScript({
-      target: { tabId: tabId },
+      target: { tabId: tabId, allFrames: true },
       // IMPORTANT: Check if cleanup function exists before calling.
       // This handles cases where the content script might have already been removed or failed to load.
       func: () => {
@@ -38,10 +207,6 @@ async function removeScript(tabId) {
         }
       },
     });
-    await chrome.scripting.removeCSS({
-      target: { tabId: tabId },
-      files: ["style.css"],
-    });
     // State cleanup happens after attempting removal
   } catch (err) {
     // Ignore errors if tab is already closed or script isn't there
@@ -58,23 +223,44 @@ async function removeScript(tabId) {
     }
   } finally {
     // Always ensure state is cleaned up locally regardless of script execution success
-    activeTabs.delete(tabId);
+    setTabActive(tabId, false);
+    await stopDeviceProfile(tabId);
+    await stopPixelCapture(tabId);
     console.log(`Frames Monitor state removed for tab ${tabId}`);
     updateIcon(tabId, false); // Attempt to reset icon state
   }
 }
 
+// Badge background per latency rating (see rateLatency in config.js)
+const BADGE_COLORS = {
+  good: "#4CAF50",
+  warning: "#FF9800",
+  bad: "#F44336",
+  on: "#1A73E8", // Active, nothing measured yet
+};
+
+// Pages Chrome doesn't let extensions script
+function isRestrictedUrl(url) {
+  return Boolean(
+    url &&
+    (url.startsWith("chrome://") ||
+      url.startsWith("https://chrome.google.com/webstore")),
+  );
+}
+
 // Function to update browser action icon/title
 function updateIcon(tabId, isActive) {
   try {
     const state = isActive ? "Active" : "Inactive";
-    const title = `Toggle Frames Monitor (${state})`;
+    const title = `Click Latency Monitor (${state})`;
     const badgeText = isActive ? "ON" : "";
-    const badgeColor = isActive ? "#4CAF50" : "#757575"; // Green for ON, Grey for OFF
 
     chrome.action.setTitle({ tabId: tabId, title: title });
     chrome.action.setBadgeText({ tabId: tabId, text: badgeText });
-    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: badgeColor });
+    chrome.action.setBadgeBackgroundColor({
+      tabId: tabId,
+      color: BADGE_COLORS.on,
+    });
   } catch (error) {
     // Ignore errors if the tab doesn't exist anymore
     if (error.message.includes("No tab with id")) {
@@ -85,67 +271,1095 @@ function updateIcon(tabId, isActive) {
   }
 }
 
-// Listen for clicks on the browser action icon
-chrome.action.onClicked.addListener((tab) => {
-  // Ensure we have a tab ID and it's not on a restricted page
+// Short badge text for a latency, e.g. "87", "1.2s" or "12s"
+function formatBadgeLatency(ms) {
+  if (ms < 1000) return String(Math.round(ms));
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+// Show a tab's latest Press → DOM latency on the badge, colored against the
+// budget from the options, so regressions stand out without the overlay
+async function updateBadge(tabId, measurement) {
+  await activeTabsRestored;
+  if (!activeTabs.has(tabId)) return;
+  const { badgeBudgetMs } = await loadConfig();
+  let text;
+  let rating;
+  let title;
+  if (measurement.timedOut) {
+    text = "T/O";
+    rating = "bad";
+    title = "Last interaction: no DOM change (timed out)";
+  } else if (measurement.latencyMs !== null) {
+    text = formatBadgeLatency(measurement.latencyMs);
+    rating = measurement.budgetViolated
+      ? "bad"
+      : rateLatency(measurement.latencyMs, badgeBudgetMs);
+    title = `Last interaction: ${measurement.latencyMs.toFixed(1)} ms (budget ${badgeBudgetMs} ms)`;
+  } else {
+    return;
+  }
+  try {
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: BADGE_COLORS[rating],
+    });
+    await chrome.action.setTitle({ tabId, title });
+  } catch (err) {
+    console.warn(`Failed to update badge for tab ${tabId}: ${err}`);
+  }
+}
+
+// Measurements a budget notification was shown for, so that the updates
+// that follow (paint timing, settling) don't repeat it
+const notifiedMeasurements = new Set();
+
+// Raise a desktop notification for a measurement over its budget, if the
+// options ask for it. Benchmark clicks report theirs in the overlay instead.
+async function notifyBudgetViolation(measurement) {
   if (
-    !tab.id ||
-    (tab.url &&
-      (tab.url.startsWith("chrome://") ||
-        tab.url.startsWith("https://chrome.google.com/webstore")))
+    !measurement.budgetViolated ||
+    measurement.synthetic ||
+    notifiedMeasurements.has(measurement.id)
   ) {
-    console.log(`Cannot inject into restricted URL: ${tab.url || "N/A"}`);
-    // Optionally provide feedback to the user, e.g., change icon briefly
-    if (tab.id) {
-      chrome.action.setTitle({
-        tabId: tab.id,
-        title: "Cannot run on this page",
+    return;
+  }
+  const { budgetNotifications } = await loadConfig();
+  if (!budgetNotifications) return;
+  notifiedMeasurements.add(measurement.id);
+  if (notifiedMeasurements.size > HISTORY_LIMIT) {
+    notifiedMeasurements.delete(notifiedMeasurements.values().next().value);
+  }
+  const { budget } = measurement;
+  let result;
+  if (measurement.budgetLatencyMs !== null) {
+    result = `${measurement.budgetLatencyMs.toFixed(1)} ms`;
+  } else {
+    result = measurement.timedOut ? "no DOM change" : "never settled";
+  }
+  try {
+    await chrome.notifications.create(`budget:${measurement.id}`, {
+      type: "basic",
+      iconUrl: "icon128.png",
+      title: `Latency budget exceeded: ${budget.name || budget.selector || "page"}`,
+      message: `${result} on ${measurement.targetSelector || "(unknown)"} (budget ${formatBudgetLimit(budget)}, ${budget.metric || "dom"})`,
+      contextMessage: measurement.url,
+    });
+  } catch (err) {
+    console.warn(`Could not show budget notification: ${err}`);
+  }
+}
+
+// Turn the monitor on or off in a tab. Resolves to whether it is now active,
+// or "restricted" for pages it can't run on.
+async function setMonitoring(tabId, enabled) {
+  await activeTabsRestored;
+  const tab = await chrome.tabs.get(tabId);
+  if (isRestrictedUrl(tab.url)) {
+    console.log(`Cannot inject into restricted URL: ${tab.url}`);
+    return "restricted";
+  }
+  if (enabled && !activeTabs.has(tabId)) {
+    await injectScript(tabId);
+  } else if (!enabled && activeTabs.has(tabId)) {
+    await removeScript(tabId);
+  }
+  return activeTabs.has(tabId);
+}
+
+// Show or hide the history panel in a tab's top frame
+async function toggleHistoryPanel(tabId) {
+  try {
+    await chrome.tabs.sendMessage(
+      tabId,
+      { type: "toggle-history-panel" },
+      { frameId: 0 },
+    );
+  } catch (err) {
+    console.warn(`Could not toggle history panel in tab ${tabId}: ${err}`);
+  }
+}
+
+// Pin the overlay in a tab's top frame where it is, or unpin it
+async function toggleOverlayPin(tabId) {
+  try {
+    await chrome.tabs.sendMessage(
+      tabId,
+      { type: "toggle-overlay-pin" },
+      { frameId: 0 },
+    );
+  } catch (err) {
+    console.warn(`Could not pin the overlay in tab ${tabId}: ${err}`);
+  }
+}
+
+// Let the user pick an element in a tab's top frame and click it repeatedly
+// with synthetic events (see runBenchmark in content.js)
+async function startBenchmark(tabId, options) {
+  try {
+    await chrome.tabs.sendMessage(
+      tabId,
+      { type: "start-benchmark", options },
+      { frameId: 0 },
+    );
+  } catch (err) {
+    console.warn(`Could not start benchmark in tab ${tabId}: ${err}`);
+  }
+}
+
+// Simulate a device profile in a tab: attach the debugger and slow the CPU
+// down, or detach it again for a profile without slowdown. Throws if the
+// debugger can't attach, e.g. to another extension's page.
+async function applyDeviceProfile(tabId, profileId) {
+  await tabDeviceProfilesRestored;
+  const profile = findDeviceProfile(profileId);
+  const target = { tabId };
+  if (profile.cpuThrottlingRate === 1) {
+    const wasThrottled =
+      findDeviceProfile(tabDeviceProfiles.get(tabId)).cpuThrottlingRate !== 1;
+    setTabDeviceProfile(tabId, profile.id); // Before onDetach sees it
+    if (wasThrottled) {
+      await chrome.debugger.detach(target).catch((err) => {
+        console.warn(`Could not detach the debugger from tab ${tabId}: ${err}`);
       });
-      chrome.action.setBadgeText({ tabId: tab.id, text: "X" });
-      chrome.action.setBadgeBackgroundColor({
-        tabId: tab.id,
-        color: "#F44336",
-      }); // Red X
-      setTimeout(() => {
-        // Reset icon after a short delay if the tab wasn't active
-        if (!activeTabs.has(tab.id)) {
-          updateIcon(tab.id, false);
-        }
-      }, 1500);
     }
-    return;
+    return profile;
   }
+  try {
+    await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION);
+  } catch (err) {
+    // Still attached for the previous profile, or before a navigation
+    if (!err.message.includes("already attached")) throw err;
+  }
+  await chrome.debugger.sendCommand(target, "Emulation.setCPUThrottlingRate", {
+    rate: profile.cpuThrottlingRate,
+  });
+  setTabDeviceProfile(tabId, profile.id);
+  console.log(`Simulating ${formatDeviceProfile(profile)} in tab ${tabId}`);
+  return profile;
+}
 
-  const currentTabId = tab.id; // Use the correct ID from the tab object
+// Apply a tab's device profile when the monitor starts there or its page
+// navigates: the one picked in the popup, else the default from the options.
+// A tab that can't be throttled is measured without slowdown.
+async function startDeviceProfile(tabId) {
+  await tabDeviceProfilesRestored;
+  const profileId =
+    tabDeviceProfiles.get(tabId) || (await loadConfig()).deviceProfile;
+  try {
+    await applyDeviceProfile(tabId, profileId);
+  } catch (err) {
+    console.warn(`Could not simulate a device in tab ${tabId}: ${err}`);
+    setTabDeviceProfile(tabId, "none");
+  }
+}
 
-  if (activeTabs.has(currentTabId)) {
-    removeScript(currentTabId); // Pass the correct ID
-  } else {
-    injectScript(currentTabId); // Pass the correct ID
+// Stop simulating a device when the monitor is turned off in a tab, so the
+// next start uses the default from the options again
+async function stopDeviceProfile(tabId) {
+  await applyDeviceProfile(tabId, "none");
+  setTabDeviceProfile(tabId, null);
+}
+
+// Switch a monitored tab to another device profile (from the popup) and
+// show it in the overlay
+async function switchDeviceProfile(tabId, profileId) {
+  await applyDeviceProfile(tabId, profileId);
+  const config = await getTabConfig(tabId);
+  await chrome.tabs.sendMessage(tabId, { type: "config-updated", config });
+}
+
+// The debugger was detached by Chrome rather than by switching profiles:
+// the user canceled the "started debugging" bar, opened a page it can't
+// attach to, or closed the tab. Measure on without slowdown.
+chrome.debugger.onDetach.addListener(async ({ tabId }, reason) => {
+  await tabDeviceProfilesRestored;
+  if (
+    !tabId ||
+    findDeviceProfile(tabDeviceProfiles.get(tabId)).cpuThrottlingRate === 1
+  ) {
+    return;
   }
+  console.log(`Debugger detached from tab ${tabId} (${reason})`);
+  setTabDeviceProfile(tabId, "none");
+  await pushTabConfig(tabId);
 });
 
+// Create the offscreen document that receives tab capture streams, unless
+// it is open already
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+  });
+  if (contexts.length) return;
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ["USER_MEDIA"],
+        justification:
+          "Compares frames of monitored tabs to detect visual changes after clicks",
+      })
+      .finally(() => {
+        offscreenDocumentCreating = null;
+      });
+  }
+  await offscreenDocumentCreating;
+}
+
+// Start capturing a monitored tab's frames to detect visual changes (from
+// the popup). Chrome only hands out a tab's stream after the user invoked
+// the extension in that tab, so this can't start on its own.
+async function startPixelCapture(tabId) {
+  const streamId = await chrome.tabCapture.getMediaStreamId({
+    targetTabId: tabId,
+  });
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    type: "start-capture",
+    tabId,
+    streamId,
+  });
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : "No capture document");
+  }
+  setPixelCapture(tabId, true);
+  await pushTabConfig(tabId);
+}
+
+// Stop capturing a tab (from the popup, or when the monitor stops or the
+// capture ended), and close the offscreen document once no tab is captured
+async function stopPixelCapture(tabId) {
+  await pixelCaptureTabsRestored;
+  if (!pixelCaptureTabs.has(tabId)) return;
+  setPixelCapture(tabId, false);
+  try {
+    if (pixelCaptureTabs.size) {
+      await chrome.runtime.sendMessage({
+        target: "offscreen",
+        type: "stop-capture",
+        tabId,
+      });
+    } else {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (err) {
+    console.warn(`Could not stop capturing tab ${tabId}: ${err}`);
+  }
+  await pushTabConfig(tabId);
+}
+
+// What the popup shows for a tab: whether the monitor runs there, its
+// measurements, and the other tabs it runs in
+async function getPopupStatus(tabId) {
+  await activeTabsRestored;
+  const tab = await chrome.tabs.get(tabId);
+  const tabs = await Promise.all(
+    [...activeTabs].map((id) => chrome.tabs.get(id).catch(() => null)),
+  );
+  await flowRecordingsRestored;
+  await tabDeviceProfilesRestored;
+  await pixelCaptureTabsRestored;
+  const recording = flowRecordings.get(tabId);
+  return {
+    active: activeTabs.has(tabId),
+    deviceProfile: tabDeviceProfiles.get(tabId) || null,
+    pixelCapture: pixelCaptureTabs.has(tabId),
+    restricted: isRestrictedUrl(tab.url),
+    recording: recording
+      ? { name: recording.name, steps: recording.steps.length }
+      : null,
+    measurements: await getTabHistory(tabId),
+    activeTabs: tabs
+      .filter(Boolean)
+      .map(({ id, windowId, title, url }) => ({ id, windowId, title, url })),
+  };
+}
+
 // Clean up when a tab is closed
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await activeTabsRestored;
   if (activeTabs.has(tabId)) {
-    activeTabs.delete(tabId);
+    setTabActive(tabId, false);
     console.log(`Cleaned up state for closed tab ${tabId}`);
   }
+  lastPresses.delete(tabId);
+  clearTabHistory(tabId);
+  await flowRecordingsRestored;
+  if (flowRecordings.has(tabId)) setFlowRecording(tabId, null);
+  await tabDeviceProfilesRestored;
+  if (tabDeviceProfiles.has(tabId)) setTabDeviceProfile(tabId, null);
+  await stopPixelCapture(tabId);
 });
 
-// Clean up when a tab is updated (e.g., navigated away or reloaded)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // If the tab was active and it's reloaded or the URL changes significantly
-  if (
-    activeTabs.has(tabId) &&
-    (changeInfo.status === "loading" || changeInfo.url)
-  ) {
-    console.log(
-      `Detected navigation/reload in active tab ${tabId}. Cleaning up state.`,
+// Storage key for a tab's measurement history
+function historyKey(tabId) {
+  return `history:${tabId}`;
+}
+
+// A tab's history in memory, read from storage the first time.
+// chrome.storage.session keeps it for the browser session, across service
+// worker restarts and re-injections, without ever writing it to disk.
+async function loadTabHistory(tabId) {
+  if (!tabHistories.has(tabId)) {
+    const key = historyKey(tabId);
+    const stored = await chrome.storage.session.get(key);
+    if (!tabHistories.has(tabId)) tabHistories.set(tabId, stored[key] || []);
+  }
+  return tabHistories.get(tabId);
+}
+
+// The measurements for a tab, oldest first
+async function getTabHistory(tabId) {
+  return [...(await loadTabHistory(tabId))];
+}
+
+// Add or replace (by id) a measurement in a tab's history
+function saveMeasurement(tabId, measurement) {
+  historyWriteQueue = historyWriteQueue
+    .then(async () => {
+      const history = await loadTabHistory(tabId);
+      const index = history.findIndex((entry) => entry.id === measurement.id);
+      if (index === -1) {
+        history.push(measurement);
+        if (history.length > HISTORY_LIMIT) history.shift();
+      } else {
+        history[index] = measurement;
+      }
+      scheduleHistoryWrite(tabId);
+    })
+    .catch((error) => {
+      console.error(`Failed to store measurement for tab ${tabId}:`, error);
+    });
+  return historyWriteQueue;
+}
+
+// Write a tab's history to storage once the updates of the moment are in
+function scheduleHistoryWrite(tabId) {
+  if (historyWriteTimers.has(tabId)) return;
+  const timer = setTimeout(() => {
+    historyWriteTimers.delete(tabId);
+    const history = tabHistories.get(tabId);
+    if (!history) return;
+    historyWriteQueue = historyWriteQueue
+      .then(() =>
+        chrome.storage.session.set({ [historyKey(tabId)]: [...history] }),
+      )
+      .catch((error) => {
+        console.error(`Failed to store history for tab ${tabId}:`, error);
+      });
+  }, HISTORY_WRITE_DELAY_MS);
+  historyWriteTimers.set(tabId, timer);
+}
+
+function clearTabHistory(tabId) {
+  historyWriteQueue = historyWriteQueue
+    .then(() => {
+      // After the updates queued before, which would load it again
+      clearTimeout(historyWriteTimers.get(tabId));
+      historyWriteTimers.delete(tabId);
+      tabHistories.delete(tabId);
+      return chrome.storage.session.remove(historyKey(tabId));
+    })
+    .catch((error) => {
+      console.error(`Failed to clear history for tab ${tabId}:`, error);
+    });
+  return historyWriteQueue;
+}
+
+// Saved sessions are named copies of a tab's history, kept in
+// chrome.storage.local (see SAVED_SESSIONS_KEY in config.js)
+async function getSavedSessions() {
+  const stored = await chrome.storage.local.get(SAVED_SESSIONS_KEY);
+  return stored[SAVED_SESSIONS_KEY] || [];
+}
+
+// Save a copy of a tab's current history under a name. Returns the saved
+// session, or null if the tab has no measurements.
+async function saveSession(tabId, name) {
+  await historyWriteQueue;
+  const measurements = await getTabHistory(tabId);
+  if (!measurements.length) return null;
+  const savedAt = Date.now();
+  const session = {
+    id: `${savedAt}-${tabId}`,
+    name: name || new Date(savedAt).toLocaleString(),
+    url: measurements[measurements.length - 1].url,
+    savedAt,
+    measurements,
+  };
+  const sessions = await getSavedSessions();
+  await chrome.storage.local.set({
+    [SAVED_SESSIONS_KEY]: [...sessions, session],
+  });
+  return session;
+}
+
+// Flows being recorded, by tab: {name, startedAt, steps}. Mirrored to
+// chrome.storage.session like activeTabs, so a recording survives the
+// service worker being suspended between clicks.
+const flowRecordings = new Map();
+const flowRecordingsRestored = chrome.storage.session
+  .get({ flowRecordings: {} })
+  .then((stored) => {
+    for (const [tabId, recording] of Object.entries(stored.flowRecordings)) {
+      flowRecordings.set(Number(tabId), recording);
+    }
+  });
+
+function setFlowRecording(tabId, recording) {
+  if (recording) {
+    flowRecordings.set(tabId, recording);
+  } else {
+    flowRecordings.delete(tabId);
+  }
+  chrome.storage.session
+    .set({ flowRecordings: Object.fromEntries(flowRecordings) })
+    .catch((err) => console.warn(`Could not save flow recordings: ${err}`));
+}
+
+// Add a press in a tab's top frame to the flow being recorded there. Only
+// real clicks, taps and pen presses count; the release reports the same
+// press again and is skipped.
+function recordFlowStep(tabId, press) {
+  const recording = flowRecordings.get(tabId);
+  if (!recording || press.synthetic || press.inputType === "keyboard") return;
+  if (recording.steps.some((step) => step.pressId === press.id)) return;
+  const previous = recording.steps[recording.steps.length - 1];
+  recording.steps.push({
+    pressId: press.id,
+    pressEpoch: press.pressEpoch,
+    selector: press.targetPath || press.targetSelector,
+    url: press.url,
+    offsetX: press.offsetX,
+    offsetY: press.offsetY,
+    inputType: press.inputType,
+    delayMs: previous ? Math.round(press.pressEpoch - previous.pressEpoch) : 0,
+    latencyMs: null,
+    timedOut: false,
+  });
+  setFlowRecording(tabId, recording);
+}
+
+// Store the measured latency with the recorded step it belongs to. Results
+// carry the press time relative to their document, so match on epoch time.
+function recordFlowLatency(tabId, measurement) {
+  const recording = flowRecordings.get(tabId);
+  if (!recording || measurement.synthetic) return;
+  const pressEpoch = measurement.timeOrigin + measurement.pressTimestamp;
+  const step = recording.steps.find(
+    (candidate) => Math.abs(candidate.pressEpoch - pressEpoch) < 1,
+  );
+  if (!step) return;
+  step.latencyMs = measurement.latencyMs;
+  step.timedOut = measurement.timedOut;
+  setFlowRecording(tabId, recording);
+}
+
+async function startFlowRecording(tabId, name) {
+  await flowRecordingsRestored;
+  setFlowRecording(tabId, {
+    name: name || `Flow ${new Date().toLocaleString()}`,
+    startedAt: Date.now(),
+    steps: [],
+  });
+}
+
+// Stop recording in a tab and save the flow, unless no step was recorded.
+// Resolves to the saved flow or null.
+async function stopFlowRecording(tabId) {
+  await flowRecordingsRestored;
+  const recording = flowRecordings.get(tabId);
+  setFlowRecording(tabId, null);
+  if (!recording || !recording.steps.length) return null;
+  const flow = {
+    id: `${recording.startedAt}-${tabId}`,
+    name: recording.name,
+    url: recording.steps[0].url,
+    recordedAt: recording.startedAt,
+    steps: recording.steps.map(({ pressId, pressEpoch, ...step }) => step),
+  };
+  const stored = await chrome.storage.local.get(SAVED_FLOWS_KEY);
+  await chrome.storage.local.set({
+    [SAVED_FLOWS_KEY]: [...(stored[SAVED_FLOWS_KEY] || []), flow],
+  });
+  return flow;
+}
+
+// Resolves once the tab has finished loading, or after timeoutMs
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    };
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") finish();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === "complete") finish();
+    }, finish);
+  });
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Send a message to a tab's top frame, retrying while the content script of
+// a newly loaded page isn't there yet
+async function sendToTopFrame(tabId, message) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+    } catch (err) {
+      const notInjectedYet = /Receiving end does not exist/.test(err.message);
+      if (!notInjectedYet || attempt >= REPLAY_CONNECT_ATTEMPTS) throw err;
+      await delay(REPLAY_CONNECT_RETRY_MS);
+    }
+  }
+}
+
+// Watch for a new document committing in a tab's top frame; resolves to
+// true when one does, or to false after timeoutMs once stop() was called
+function watchTopFrameCommit(tabId) {
+  let onCommitted;
+  let timer;
+  const committed = new Promise((resolve) => {
+    onCommitted = (details) => {
+      if (details.tabId === tabId && details.frameId === 0) resolve(true);
+    };
+    chrome.webNavigation.onCommitted.addListener(onCommitted);
+  });
+  const stop = (timeoutMs) =>
+    Promise.race([
+      committed,
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+      }),
+    ]).finally(() => {
+      clearTimeout(timer);
+      chrome.webNavigation.onCommitted.removeListener(onCommitted);
+    });
+  return { stop };
+}
+
+// Replay a flow in a tab: open its start page if the tab is elsewhere, then
+// click each step's element with synthetic events after the recorded delay.
+// Each click is measured like any other and tagged with the flow name and
+// step. A step whose click leaves the page ends when the next page has
+// loaded; its measurement is finished there. A step that fails without such
+// a navigation ends the replay with an error. When done, the top frame gets
+// "replay-finished", which it shows and passes on to the page.
+async function runFlowReplay(tabId, flow, replayId) {
+  await activeTabsRestored;
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.url !== flow.url) {
+    await chrome.tabs.update(tabId, { url: flow.url });
+    await delay(REPLAY_CONNECT_RETRY_MS); // Let the navigation start
+    await waitForTabComplete(tabId, REPLAY_PAGE_LOAD_TIMEOUT_MS);
+  }
+  if (!activeTabs.has(tabId)) await injectScript(tabId);
+
+  let error = null;
+  let completedSteps = 0;
+  for (const [index, step] of flow.steps.entries()) {
+    await delay(step.delayMs);
+    let response;
+    const commit = watchTopFrameCommit(tabId);
+    try {
+      response = await sendToTopFrame(tabId, {
+        type: "replay-step",
+        replay: { replayId, flowName: flow.name, step: index + 1 },
+        step,
+      });
+    } catch (err) {
+      if (!(await commit.stop(REPLAY_COMMIT_GRACE_MS))) {
+        // No content script to click with, e.g. the monitor was turned off
+        error = `Step ${index + 1}: ${err.message}`;
+        break;
+      }
+      // The click navigated away and took the content script with it
+      await waitForTabComplete(tabId, REPLAY_PAGE_LOAD_TIMEOUT_MS);
+      completedSteps++;
+      continue;
+    }
+    commit.stop(0);
+    if (!response || !response.ok) {
+      error = `Step ${index + 1}: ${response ? response.error : "no response"}`;
+      break;
+    }
+    completedSteps++;
+  }
+  await sendToTopFrame(tabId, {
+    type: "replay-finished",
+    replay: {
+      replayId,
+      flowName: flow.name,
+      steps: flow.steps.length,
+      completedSteps,
+      error,
+    },
+  });
+}
+
+// Start replaying a flow in a tab; resolves to the replay's id right away
+async function replayFlow(tabId, flow) {
+  const replayId = `${Date.now().toString(36)}-replay`;
+  runFlowReplay(tabId, flow, replayId).catch((err) => {
+    console.error(`Replay of "${flow.name}" in tab ${tabId} failed: ${err}`);
+  });
+  return replayId;
+}
+
+// Whether a flow starts and stays on the origin of pageUrl
+function isFlowOnOrigin(flow, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  return [flow.url, ...flow.steps.map((step) => step.url)].every((url) => {
+    try {
+      return new URL(url).origin === origin;
+    } catch (err) {
+      return false;
+    }
+  });
+}
+
+// Find a saved flow by id or name
+async function findSavedFlow({ flowId, name }) {
+  const stored = await chrome.storage.local.get(SAVED_FLOWS_KEY);
+  const flows = stored[SAVED_FLOWS_KEY] || [];
+  return (
+    flows.find((flow) => flow.id === flowId) ||
+    flows.find((flow) => flow.name === name) ||
+    null
+  );
+}
+
+// Push settings saved on the options page into tabs that are already active
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== "sync") return;
+  await activeTabsRestored;
+  if (changes.autoEnablePatterns) autoEnableMatchingTabs();
+  for (const tabId of activeTabs) {
+    try {
+      const config = await getTabConfig(tabId);
+      await chrome.tabs.sendMessage(tabId, { type: "config-updated", config });
+    } catch (err) {
+      console.warn(`Could not update settings in tab ${tabId}: ${err}`);
+    }
+  }
+});
+
+// Forward a message between the content scripts of a tab's frames: to all
+// of them, or with frameId to one. The overlay and history panel live in the
+// top frame (frameId 0).
+function relayToFrames(tabId, message, frameId) {
+  const options = frameId === undefined ? {} : { frameId };
+  chrome.tabs.sendMessage(tabId, message, options).catch((err) => {
+    console.warn(`Could not relay ${message.type} in tab ${tabId}: ${err}`);
+  });
+}
+
+// Messages from content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const tabId = sender.tab && sender.tab.id;
+  if (!tabId) return false;
+
+  switch (message.type) {
+    case "measurement":
+      saveMeasurement(tabId, message.measurement);
+      postToPanels(tabId, {
+        type: "measurement",
+        measurement: message.measurement,
+      });
+      updateBadge(tabId, message.measurement);
+      notifyBudgetViolation(message.measurement);
+      flowRecordingsRestored.then(() =>
+        recordFlowLatency(tabId, message.measurement),
+      );
+      if (sender.frameId !== 0) {
+        relayToFrames(
+          tabId,
+          { type: "frame-measurement", measurement: message.measurement },
+          0,
+        );
+      }
+      return false;
+    case "press":
+      lastPresses.set(tabId, message.press);
+      if (sender.frameId === 0) {
+        flowRecordingsRestored.then(() => recordFlowStep(tabId, message.press));
+      }
+      // Other frames watch their own DOM for changes caused by this press
+      relayToFrames(tabId, { type: "frame-press", press: message.press });
+      return false;
+    case "frame-mutation":
+      relayToFrames(tabId, message);
+      return false;
+    case "frame-overlay":
+      relayToFrames(tabId, message, 0);
+      return false;
+    case "pixel-watch":
+      // A press in the top frame: compare the frames around it
+      chrome.runtime
+        .sendMessage({
+          target: "offscreen",
+          type: "watch",
+          tabId,
+          watch: message.watch,
+        })
+        .catch((err) => {
+          console.warn(`Could not watch tab ${tabId} for changes: ${err}`);
+        });
+      return false;
+    case "replay-flow":
+      // From the page API: replay a saved flow by name. Any script on the
+      // page can ask, so the flow must not leave the page's origin.
+      findSavedFlow({ name: message.name })
+        .then((flow) => {
+          if (!flow) throw new Error(`No saved flow named "${message.name}"`);
+          if (sender.frameId !== 0 || !isFlowOnOrigin(flow, sender.url)) {
+            throw new Error(
+              `The flow "${flow.name}" visits pages of another origin`,
+            );
+          }
+          return replayFlow(tabId, flow);
+        })
+        .then(
+          (replayId) => sendResponse({ ok: true, replayId }),
+          (err) => sendResponse({ ok: false, error: err.message }),
+        );
+      return true;
+    case "get-history":
+      // Wait for pending writes so the content script sees its own records
+      historyWriteQueue
+        .then(() => getTabHistory(tabId))
+        .then(
+          (measurements) => sendResponse({ measurements }),
+          (err) => sendResponse({ error: err.message }),
+        );
+      return true; // Keep the channel open for the async response
+    default:
+      return false;
+  }
+});
+
+// Messages from the popup, which names the tab it is about
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (sender.tab) return false; // From a content script, handled above
+
+  switch (message.type) {
+    case "get-popup-status":
+      historyWriteQueue
+        .then(() => getPopupStatus(message.tabId))
+        .then(sendResponse, (err) => sendResponse({ error: err.message }));
+      return true;
+    case "set-monitoring":
+      setMonitoring(message.tabId, message.enabled).then((active) =>
+        sendResponse({ active }),
+      );
+      return true;
+    case "toggle-history":
+      toggleHistoryPanel(message.tabId);
+      return false;
+    case "start-benchmark":
+      startBenchmark(message.tabId, message.options);
+      return false;
+    case "set-device-profile":
+      switchDeviceProfile(message.tabId, message.profileId).then(
+        () => sendResponse({ ok: true }),
+        (err) => sendResponse({ ok: false, error: err.message }),
+      );
+      return true;
+    case "set-pixel-capture":
+      (message.enabled ? startPixelCapture : stopPixelCapture)(
+        message.tabId,
+      ).then(
+        () => sendResponse({ ok: true }),
+        (err) => sendResponse({ ok: false, error: err.message }),
+      );
+      return true;
+    case "start-recording":
+      startFlowRecording(message.tabId, message.name).then(() =>
+        sendResponse({ recording: true }),
+      );
+      return true;
+    case "stop-recording":
+      stopFlowRecording(message.tabId).then((flow) =>
+        sendResponse({
+          saved: Boolean(flow),
+          steps: flow ? flow.steps.length : 0,
+        }),
+      );
+      return true;
+    case "replay-flow":
+      findSavedFlow({ flowId: message.flowId })
+        .then((flow) => {
+          if (!flow) throw new Error("The flow was deleted");
+          return replayFlow(message.tabId, flow);
+        })
+        .then(
+          (replayId) => sendResponse({ ok: true, replayId }),
+          (err) => sendResponse({ ok: false, error: err.message }),
+        );
+      return true;
+    case "export":
+      exportTabHistory(message.tabId, message.formats);
+      return false;
+    case "save-session":
+      saveSession(message.tabId, message.name)
+        .then((session) =>
+          sendResponse({
+            saved: Boolean(session),
+            count: session ? session.measurements.length : 0,
+          }),
+        )
+        .catch((err) => {
+          console.error(
+            `Failed to save session for tab ${message.tabId}:`,
+            err,
+          );
+          sendResponse({ saved: false, error: String(err) });
+        });
+      return true;
+    default:
+      return false;
+  }
+});
+
+// Messages from the offscreen document, which compares captured frames
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (sender.url !== chrome.runtime.getURL(OFFSCREEN_DOCUMENT)) return false;
+
+  switch (message.type) {
+    case "pixel-change":
+      relayToFrames(
+        message.tabId,
+        { type: "pixel-change", report: message.report },
+        0,
+      );
+      return false;
+    case "capture-ended":
+      stopPixelCapture(message.tabId);
+      return false;
+    default:
+      return false;
+  }
+});
+
+// Send a message to the DevTools panels open for a tab
+function postToPanels(tabId, message) {
+  for (const port of panelPorts.get(tabId) || []) port.postMessage(message);
+}
+
+// Push a tab's settings to its content scripts again, e.g. after a panel
+// opened or closed and the overlay is hidden or shown
+async function pushTabConfig(tabId) {
+  await activeTabsRestored;
+  if (!activeTabs.has(tabId)) return;
+  try {
+    const config = await getTabConfig(tabId);
+    await chrome.tabs.sendMessage(tabId, { type: "config-updated", config });
+  } catch (err) {
+    console.warn(`Could not update settings in tab ${tabId}: ${err}`);
+  }
+}
+
+// Messages from a DevTools panel, which names its inspected tab first
+function onPanelMessage(port, message) {
+  switch (message.type) {
+    case "init": {
+      port.tabId = message.tabId;
+      if (!panelPorts.has(port.tabId)) panelPorts.set(port.tabId, new Set());
+      panelPorts.get(port.tabId).add(port);
+      Promise.all([
+        activeTabsRestored,
+        historyWriteQueue.then(() => getTabHistory(port.tabId)),
+      ]).then(([, measurements]) => {
+        port.postMessage({
+          type: "status",
+          active: activeTabs.has(port.tabId),
+        });
+        port.postMessage({ type: "history", measurements });
+      });
+      pushTabConfig(port.tabId);
+      break;
+    }
+    case "set-monitoring":
+      setMonitoring(port.tabId, message.enabled).catch((err) => {
+        console.warn(
+          `Could not switch the monitor in tab ${port.tabId}: ${err}`,
+        );
+      });
+      break;
+    case "highlight-target":
+      chrome.tabs
+        .sendMessage(
+          port.tabId,
+          { type: "highlight-target", selector: message.selector },
+          { frameId: 0 },
+        )
+        .catch((err) => {
+          console.warn(`Could not highlight in tab ${port.tabId}: ${err}`);
+        });
+      break;
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "devtools-panel") return;
+  port.onMessage.addListener((message) => onPanelMessage(port, message));
+  port.onDisconnect.addListener(() => {
+    const ports = panelPorts.get(port.tabId);
+    if (!ports) return;
+    ports.delete(port);
+    if (!ports.size) panelPorts.delete(port.tabId);
+    pushTabConfig(port.tabId); // Shows the overlay again
+  });
+});
+
+// Download a tab's history in each of the given formats (see export.js)
+async function exportTabHistory(tabId, formats) {
+  try {
+    const measurements = await getTabHistory(tabId);
+    if (!measurements.length) {
+      console.log(`No measurements to export for tab ${tabId}`);
+      return;
+    }
+    const host = new URL(measurements[measurements.length - 1].url).hostname;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    for (const format of formats) {
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      const text = serializeMeasurements(format, measurements, tabId);
+      // Service workers have no URL.createObjectURL, so use a data: URL
+      await chrome.downloads.download({
+        url: `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`,
+        filename: `click-latency-${host || "page"}-${stamp}.${extension}`,
+      });
+    }
+  } catch (err) {
+    console.error(`Failed to export history for tab ${tabId}: ${err}`);
+  }
+}
+
+// Export entries in the action's context menu
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "export",
+      title: "Export session",
+      contexts: ["action"],
+    });
+    chrome.contextMenus.create({
+      id: "export:csv",
+      parentId: "export",
+      title: "As CSV",
+      contexts: ["action"],
+    });
+    chrome.contextMenus.create({
+      id: "export:jsonl",
+      parentId: "export",
+      title: "As JSON lines",
+      contexts: ["action"],
+    });
+    chrome.contextMenus.create({
+      id: "export:trace",
+      parentId: "export",
+      title: "As Chrome trace (Performance panel / Perfetto)",
+      contexts: ["action"],
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !tab.id) return;
+  const [action, format] = String(info.menuItemId).split(":");
+  if (action === "export" && format) {
+    exportTabHistory(tab.id, [format]);
+  }
+});
+
+// Keyboard shortcuts (see "commands" in manifest.json)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab || !tab.id) return;
+  await activeTabsRestored;
+  if (command === "export-session") {
+    exportTabHistory(tab.id, Object.keys(EXPORT_FORMATS));
+    return;
+  }
+  if (command === "toggle-monitor") {
+    await setMonitoring(tab.id, !activeTabs.has(tab.id));
+    return;
+  }
+  if (!activeTabs.has(tab.id)) return;
+  if (command === "toggle-history") {
+    await toggleHistoryPanel(tab.id);
+  } else if (command === "pin-overlay") {
+    await toggleOverlayPin(tab.id);
+  }
+});
+
+// Re-inject into the new document when an active tab navigates or reloads.
+// If the navigation followed a recent press, the new page finishes that
+// measurement with its own paint timing. Iframes get the script as their
+// documents load, including ones added after the monitor was turned on.
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  await activeTabsRestored;
+  if (!activeTabs.has(details.tabId)) {
+    if (details.frameId === 0 && (await isAutoEnabled(details.url))) {
+      console.log(`Auto-enabling monitor in tab ${details.tabId}`);
+      // Active before injecting, so subframes committing meanwhile are
+      // injected too rather than skipped above
+      setTabActive(details.tabId, true);
+      await injectScript(details.tabId, { url: details.url, frameId: 0 });
+    }
+    return;
+  }
+  if (details.frameId !== 0) {
+    await injectScript(details.tabId, { frameId: details.frameId });
+    return;
+  }
+  const press = lastPresses.get(details.tabId);
+  lastPresses.delete(details.tabId);
+
+  const config = await loadConfig();
+  const pendingNavigation =
+    press && Date.now() - press.pressEpoch < config.navigationTimeoutMs
+      ? { ...press, transitionType: details.transitionType }
+      : null;
+  console.log(
+    `Detected navigation in active tab ${details.tabId}. Re-injecting${pendingNavigation ? " to finish the pending measurement" : ""}.`,
+  );
+  await injectScript(details.tabId, {
+    url: details.url,
+    pendingNavigation,
+    frameId: 0,
+  });
+});
+
+// Same-document (history.pushState/replaceState) navigations keep the content
+// script alive; tell it so the measurement is labeled, and re-resolve the
+// site rule for the new URL.
+chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+  await activeTabsRestored;
+  if (details.frameId !== 0 || !activeTabs.has(details.tabId)) return;
+  try {
+    await chrome.tabs.sendMessage(
+      details.tabId,
+      { type: "same-document-navigation", url: details.url },
+      { frameId: 0 },
     );
-    // The content script context is lost on navigation, so just clean up the background state.
-    activeTabs.delete(tabId);
-    updateIcon(tabId, false); // Update icon to reflect inactive state
+    const config = await getTabConfig(details.tabId, details.url);
+    await chrome.tabs.sendMessage(details.tabId, {
+      type: "config-updated",
+      config,
+    });
+  } catch (err) {
+    console.warn(`Could not notify tab ${details.tabId} of navigation: ${err}`);
   }
 });
 
@@ -153,11 +1367,14 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 chrome.runtime.onStartup.addListener(async () => {
   console.log("Extension startup: Initializing icons.");
   await initializeIconsForAllTabs();
+  await autoEnableMatchingTabs();
 });
 
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log("Extension installed/updated: Initializing icons.");
+  createContextMenus();
   await initializeIconsForAllTabs();
+  await autoEnableMatchingTabs();
   if (details.reason === "install") {
     console.log("First install tasks can go here.");
   } else if (details.reason === "update") {
@@ -165,19 +1382,38 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   }
 });
 
+// Whether a URL matches one of the "always monitor" patterns
+async function isAutoEnabled(url) {
+  if (!url || isRestrictedUrl(url)) return false;
+  const { autoEnablePatterns } = await loadConfig();
+  return autoEnablePatterns.some((pattern) => matchesUrlPattern(pattern, url));
+}
+
+// Turn the monitor on in open tabs matching the "always monitor" patterns.
+// Runs when the browser starts, on install/update and when the list changes,
+// not on every service worker wake-up, so tabs switched off by hand stay off.
+async function autoEnableMatchingTabs() {
+  await activeTabsRestored;
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (tab.id && !activeTabs.has(tab.id) && (await isAutoEnabled(tab.url))) {
+      console.log(`Auto-enabling monitor in tab ${tab.id}`);
+      await injectScript(tab.id);
+    }
+  }
+}
+
 // Helper to set initial icon states
 async function initializeIconsForAllTabs() {
   try {
+    await activeTabsRestored;
     const tabs = await chrome.tabs.query({});
     for (const tab of tabs) {
-      if (tab.id) {
+      // Active tabs keep their badge (the latest latency) across restarts
+      if (tab.id && !activeTabs.has(tab.id)) {
         // Check if the tab URL is accessible before trying to update the icon.
         // This avoids errors for chrome:// pages etc.
-        if (
-          !tab.url ||
-          (!tab.url.startsWith("chrome://") &&
-            !tab.url.startsWith("https://chrome.google.com/webstore"))
-        ) {
+        if (!isRestrictedUrl(tab.url)) {
           updateIcon(tab.id, activeTabs.has(tab.id));
         } else {
           // For restricted tabs, ensure they show as inactive/disabled
@@ -0,0 +1,382 @@
+// Comparison page: puts two saved sessions side by side, per target and
+// overall, and exports the table as Markdown. Sessions are the records saved
+// from the popup (see saveSession in background.js) or imported from a JSON
+// lines export; both hold the measurements the overlay produced.
+
+const sessionASelect = document.getElementById("session-a");
+const sessionBSelect = document.getElementById("session-b");
+const metricSelect = document.getElementById("metric");
+const rowsElement = document.getElementById("rows");
+const sessionsElement = document.getElementById("sessions");
+const statusElement = document.getElementById("status");
+
+const OVERALL_TARGET = "All interactions";
+const SVG_NS = "http://www.w3.org/2000/svg";
+const PLOT_WIDTH = 180;
+const PLOT_HEIGHT = 28;
+const PLOT_COLORS = { a: "#5f6368", b: "#1a73e8" };
+
+let sessions = [];
+
+// Show a short confirmation or error next to the import button
+function showStatus(text, isError = false) {
+  statusElement.textContent = text;
+  statusElement.classList.toggle("error", isError);
+  if (!isError) {
+    setTimeout(() => {
+      if (statusElement.textContent === text) statusElement.textContent = "";
+    }, 2000);
+  }
+}
+
+async function loadSessions() {
+  const stored = await chrome.storage.local.get(SAVED_SESSIONS_KEY);
+  return stored[SAVED_SESSIONS_KEY] || [];
+}
+
+function storeSessions(updated) {
+  return chrome.storage.local.set({ [SAVED_SESSIONS_KEY]: updated });
+}
+
+function describeSession(session) {
+  const date = new Date(session.savedAt).toLocaleString();
+  return `${session.name} (${session.measurements.length} measurements, ${date})`;
+}
+
+function fillSelect(select, selectedId) {
+  select.replaceChildren();
+  for (const session of sessions) {
+    const option = document.createElement("option");
+    option.value = session.id;
+    option.textContent = describeSession(session);
+    select.append(option);
+  }
+  if (sessions.some((session) => session.id === selectedId)) {
+    select.value = selectedId;
+  }
+}
+
+function renderSessionList() {
+  sessionsElement.replaceChildren();
+  for (const session of sessions) {
+    const item = document.createElement("li");
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", async () => {
+      await storeSessions(sessions.filter((entry) => entry.id !== session.id));
+    });
+    item.append(remove, ` ${describeSession(session)} — ${session.url || ""}`);
+    sessionsElement.append(item);
+  }
+}
+
+// Redraw everything, keeping the selected sessions where they still exist.
+// With nothing selected yet, compare the two most recent sessions.
+function renderSessions() {
+  const count = sessions.length;
+  const selectedA =
+    sessionASelect.value || (count > 1 ? sessions[count - 2].id : null);
+  const selectedB =
+    sessionBSelect.value || (count ? sessions[count - 1].id : null);
+  fillSelect(sessionASelect, selectedA);
+  fillSelect(sessionBSelect, selectedB);
+  renderSessionList();
+  renderComparison();
+}
+
+// Turn an exported JSON lines file back into a session
+async function importJsonLines(file) {
+  const text = await file.text();
+  const measurements = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+  if (!measurements.length) throw new Error("The file has no measurements");
+  const savedAt = Date.now();
+  return {
+    id: `${savedAt}-import`,
+    name: file.name.replace(/\.(jsonl|json|txt)$/, ""),
+    url: measurements[measurements.length - 1].url,
+    savedAt,
+    measurements,
+  };
+}
+
+// Latency distribution of one target in one session, for the chosen metric
+function summarize(measurements, metric) {
+  const latencies = measurements
+    .map((measurement) => measurement[metric])
+    .filter((latency) => typeof latency === "number")
+    .sort((a, b) => a - b);
+  return {
+    latencies,
+    count: latencies.length,
+    timeouts: measurements.filter((measurement) => measurement.timedOut).length,
+    min: latencies.length ? latencies[0] : null,
+    p25: percentile(latencies, 25),
+    median: percentile(latencies, 50),
+    p75: percentile(latencies, 75),
+    p95: percentile(latencies, 95),
+    max: latencies.length ? latencies[latencies.length - 1] : null,
+  };
+}
+
+function groupByTarget(measurements) {
+  const groups = new Map();
+  for (const measurement of measurements) {
+    const target = measurement.targetSelector || "(unknown)";
+    if (!groups.has(target)) groups.set(target, []);
+    groups.get(target).push(measurement);
+  }
+  return groups;
+}
+
+// Clicks, taps and key presses; drags, scrolls and hovers have no single
+// latency to compare
+function getPresses(session) {
+  return session.measurements.filter(
+    (measurement) =>
+      !measurement.interaction || measurement.interaction === "click",
+  );
+}
+
+// One row per target seen in either session, most measured first, after
+// the overall row
+function compareSessions(sessionA, sessionB, metric) {
+  const pressesA = getPresses(sessionA);
+  const pressesB = getPresses(sessionB);
+  const groupsA = groupByTarget(pressesA);
+  const groupsB = groupByTarget(pressesB);
+  const targets = [...new Set([...groupsA.keys(), ...groupsB.keys()])];
+  const row = (target, measurementsA, measurementsB) => {
+    const a = summarize(measurementsA, metric);
+    const b = summarize(measurementsB, metric);
+    return { target, a, b, test: mannWhitney(a.latencies, b.latencies) };
+  };
+  const rows = targets.map((target) =>
+    row(target, groupsA.get(target) || [], groupsB.get(target) || []),
+  );
+  rows.sort((x, y) => y.a.count + y.b.count - (x.a.count + x.b.count));
+  return [row(OVERALL_TARGET, pressesA, pressesB), ...rows];
+}
+
+function formatMs(ms) {
+  return ms === null ? "–" : `${ms.toFixed(1)} ms`;
+}
+
+// "-12.3 ms (-20%)"; negative means B is faster
+function formatDelta(from, to) {
+  if (from === null || to === null) return "–";
+  const delta = to - from;
+  const sign = delta > 0 ? "+" : "";
+  const relative =
+    from > 0 ? ` (${sign}${((delta / from) * 100).toFixed(0)}%)` : "";
+  return `${sign}${delta.toFixed(1)} ms${relative}`;
+}
+
+// Whether B is significantly faster or slower than A, with the p-value
+function describeTest(row) {
+  if (!row.test) return { text: "too few samples", className: "" };
+  const p = row.test.p < 0.001 ? "p < 0.001" : `p = ${row.test.p.toFixed(3)}`;
+  if (row.test.p >= SIGNIFICANCE_LEVEL) {
+    return { text: `no significant change (${p})`, className: "" };
+  }
+  return row.b.median < row.a.median
+    ? { text: `B faster (${p})`, className: "faster" }
+    : { text: `B slower (${p})`, className: "slower" };
+}
+
+// A horizontal box plot per session (min–max whiskers, quartile box and
+// median tick) on a shared scale, so rows can be compared by eye
+function createBoxPlots(row, scaleMax) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", PLOT_WIDTH);
+  svg.setAttribute("height", PLOT_HEIGHT);
+  const x = (ms) => (Math.min(ms, scaleMax) / scaleMax) * (PLOT_WIDTH - 2) + 1;
+  const element = (name, attributes) => {
+    const node = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attributes)) {
+      node.setAttribute(key, value);
+    }
+    svg.append(node);
+  };
+  [
+    ["a", row.a, 7],
+    ["b", row.b, 21],
+  ].forEach(([key, summary, y]) => {
+    if (!summary.count) return;
+    const color = PLOT_COLORS[key];
+    element("line", {
+      x1: x(summary.min),
+      x2: x(summary.max),
+      y1: y,
+      y2: y,
+      stroke: color,
+    });
+    element("rect", {
+      x: x(summary.p25),
+      y: y - 4,
+      width: Math.max(1, x(summary.p75) - x(summary.p25)),
+      height: 8,
+      fill: color,
+      "fill-opacity": 0.35,
+      stroke: color,
+    });
+    element("line", {
+      x1: x(summary.median),
+      x2: x(summary.median),
+      y1: y - 5,
+      y2: y + 5,
+      stroke: color,
+      "stroke-width": 2,
+    });
+  });
+  const title = document.createElementNS(SVG_NS, "title");
+  title.textContent = `Scale 0–${scaleMax.toFixed(0)} ms`;
+  svg.append(title);
+  return svg;
+}
+
+function renderComparison() {
+  rowsElement.replaceChildren();
+  const rows = getCurrentRows();
+  if (!rows) {
+    const cell = document.createElement("td");
+    cell.colSpan = 9;
+    cell.className = "hint";
+    cell.textContent = "Save or import two sessions to compare them.";
+    const tableRow = document.createElement("tr");
+    tableRow.append(cell);
+    rowsElement.append(tableRow);
+    return;
+  }
+  // Scale the plots to the slowest p95, so a single outlier doesn't squash them
+  const scaleMax =
+    Math.max(1, ...rows.flatMap((row) => [row.a.p95 || 0, row.b.p95 || 0])) *
+    1.25;
+  for (const row of rows) {
+    const test = describeTest(row);
+    const tableRow = document.createElement("tr");
+    if (row.target === OVERALL_TARGET) tableRow.className = "overall";
+    const cells = [
+      row.target,
+      `${row.a.count} / ${row.b.count}`,
+      `${row.a.timeouts} / ${row.b.timeouts}`,
+      `${formatMs(row.a.median)} → ${formatMs(row.b.median)}`,
+      formatDelta(row.a.median, row.b.median),
+      `${formatMs(row.a.p95)} → ${formatMs(row.b.p95)}`,
+      formatDelta(row.a.p95, row.b.p95),
+      createBoxPlots(row, scaleMax),
+      test.text,
+    ];
+    for (const content of cells) {
+      const cell = document.createElement("td");
+      cell.append(content);
+      tableRow.append(cell);
+    }
+    tableRow.lastChild.className = test.className;
+    rowsElement.append(tableRow);
+  }
+}
+
+function getSelectedSessions() {
+  const a = sessions.find((session) => session.id === sessionASelect.value);
+  const b = sessions.find((session) => session.id === sessionBSelect.value);
+  return a && b ? { a, b } : null;
+}
+
+function getCurrentRows() {
+  const selected = getSelectedSessions();
+  if (!selected) return null;
+  return compareSessions(selected.a, selected.b, metricSelect.value);
+}
+
+// Escape table cell text for Markdown
+function toMarkdownCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function comparisonToMarkdown() {
+  const selected = getSelectedSessions();
+  if (!selected) return null;
+  const rows = getCurrentRows();
+  const metric = metricSelect.selectedOptions[0].textContent;
+  const lines = [
+    `**${metric}**: A = ${selected.a.name} (${selected.a.measurements.length} measurements), B = ${selected.b.name} (${selected.b.measurements.length} measurements)`,
+    "",
+    "| Target | n A / B | Timeouts A / B | Median A → B | Δ median | p95 A → B | Δ p95 | Mann-Whitney |",
+    "| --- | ---: | ---: | ---: | ---: | ---: | ---: | --- |",
+  ];
+  for (const row of rows) {
+    const target =
+      row.target === OVERALL_TARGET ? `**${row.target}**` : `\`${row.target}\``;
+    lines.push(
+      `| ${[
+        target,
+        `${row.a.count} / ${row.b.count}`,
+        `${row.a.timeouts} / ${row.b.timeouts}`,
+        `${formatMs(row.a.median)} → ${formatMs(row.b.median)}`,
+        formatDelta(row.a.median, row.b.median),
+        `${formatMs(row.a.p95)} → ${formatMs(row.b.p95)}`,
+        formatDelta(row.a.p95, row.b.p95),
+        describeTest(row).text,
+      ]
+        .map(toMarkdownCell)
+        .join(" | ")} |`,
+    );
+  }
+  lines.push(
+    "",
+    `Two-sided Mann-Whitney U test, significant at p < ${SIGNIFICANCE_LEVEL}; timed-out presses are excluded from the latencies.`,
+  );
+  return lines.join("\n") + "\n";
+}
+
+document.getElementById("copy-markdown").addEventListener("click", async () => {
+  const markdown = comparisonToMarkdown();
+  if (!markdown) return;
+  await navigator.clipboard.writeText(markdown);
+  showStatus("Copied the comparison as Markdown");
+});
+
+document.getElementById("download-markdown").addEventListener("click", () => {
+  const markdown = comparisonToMarkdown();
+  if (!markdown) return;
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(
+    new Blob([markdown], { type: "text/markdown" }),
+  );
+  link.download = `click-latency-comparison-${new Date().toISOString().slice(0, 10)}.md`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+});
+
+document.getElementById("import").addEventListener("change", async (event) => {
+  const [file] = event.target.files;
+  event.target.value = "";
+  if (!file) return;
+  try {
+    const session = await importJsonLines(file);
+    await storeSessions([...sessions, session]);
+    showStatus(`Imported ${session.measurements.length} measurements`);
+  } catch (err) {
+    showStatus(`Could not import ${file.name}: ${err.message}`, true);
+  }
+});
+
+sessionASelect.addEventListener("change", renderComparison);
+sessionBSelect.addEventListener("change", renderComparison);
+metricSelect.addEventListener("change", renderComparison);
+
+// Sessions saved from the popup show up while this page is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[SAVED_SESSIONS_KEY]) return;
+  sessions = changes[SAVED_SESSIONS_KEY].newValue || [];
+  renderSessions();
+});
+
+(async () => {
+  sessions = await loadSessions();
+  renderSessions();
+})();
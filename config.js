@@ -0,0 +1,188 @@
+// Settings shared by background.js (loaded with importScripts) and the
+// options page. They live in chrome.storage.sync; background.js pushes them
+// into content.js when injecting and whenever they change.
+
+// Where the overlay is drawn: next to the cursor or pinned to a corner
+const OVERLAY_POSITIONS = [
+  "cursor",
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+];
+
+// How much the overlay shows: every line, or a compact badge with the latency
+const OVERLAY_LAYOUTS = ["detailed", "badge"];
+
+// Overlay colors; "auto" follows the system's light or dark mode
+const OVERLAY_THEMES = ["dark", "light", "auto"];
+
+const DEFAULT_CONFIG = {
+  timeoutMs: 2000, // Time after release to wait for a DOM change before timing out
+  navigationTimeoutMs: 10000, // A navigation this soon after a press is measured as its result
+  settleQuietMs: 300, // After the first change, the DOM counts as settled once quiet this long
+  settleMaxMs: 5000, // Stop waiting for the DOM to settle after this long
+  refreshRates: [60, 120], // Frame counts are reported at each of these rates (Hz)
+  detectRefreshRate: false, // Use the rate measured from rAF cadence instead
+  paintTiming: true, // Follow the detected mutation through the next rendered frame
+  overlayPosition: "cursor", // One of OVERLAY_POSITIONS
+  overlayOffset: 15, // Distance in px from the cursor (or from the viewport edge)
+  overlayLayout: "detailed", // One of OVERLAY_LAYOUTS
+  overlayTheme: "dark", // One of OVERLAY_THEMES
+  highlightChanges: true, // Briefly outline the element that changed
+  showAllMutations: false, // List every mutation of the batch, not just the first
+  showWaterfall: false, // Draw the interaction's requests and long tasks on a time axis
+  devtoolsHidesOverlay: true, // No overlay in tabs while their Click Latency DevTools panel is open
+  badgeBudgetMs: 100, // The toolbar badge is green up to this Press → DOM latency
+  deviceProfile: "none", // One of DEVICE_PROFILES, simulated in tabs as the monitor starts
+  pixelRegionSize: 120, // Side in CSS px of the square around the press compared for visual changes
+  pixelChangePercent: 1, // Share of that square's pixels that must change to count as a visual change
+  benchmarkRuns: 20, // Synthetic clicks per benchmark (set in the popup)
+  benchmarkGapMs: 500, // Pause between benchmark clicks, after the reset
+  benchmarkReset: "none", // Between clicks: "none", "escape" or "click" a second element
+  inputTypes: {
+    mouse: true, // Primary button pointerdown → pointerup
+    pen: true, // Pen pointerdown → pointerup
+    touch: true, // pointerdown/touchstart → pointerup/touchend
+    keyboard: true, // keydown → keyup (not for modifier keys or auto-repeat)
+  },
+  // Gestures measured per input event (see "Continuous interactions" in the
+  // options); off by default, as they record much more than clicks
+  continuousModes: {
+    drag: false, // Each pointermove of a drag → the dragged element moves
+    scroll: false, // Each wheel or scroll event → the content changes
+    hover: false, // Entering an element → a tooltip or menu appears
+  },
+  mutationTypes: {
+    childList: true, // Nodes added or removed
+    attributes: true, // Attribute changes, including class and style
+    characterData: true, // Text node changes
+  },
+  // URL patterns ("*" matches anything) of pages the monitor is always
+  // turned on for, e.g. "http://localhost:3000/*"
+  autoEnablePatterns: [],
+  // Latency budgets. A press on an element matching a budget's selector is
+  // checked against it; otherwise against the first budget without one.
+  // Each budget looks like:
+  // {
+  //   name: "Add to cart",
+  //   urlPattern: "https://shop.example.com/*", // Optional, default: every site
+  //   selector: ".add-to-cart", // Optional, matches the element or an ancestor
+  //   metric: "dom", // "dom" (first change), "paint" or "settled"
+  //   maxMs: 100, // Milliseconds from press, and/or...
+  //   maxFrames: 6, // ...frames at hz (default 60) from press
+  //   hz: 60,
+  // }
+  budgets: [],
+  budgetNotifications: false, // Desktop notification when a budget is exceeded
+  // Per-site mutation scope, first match wins. Each rule looks like:
+  // {
+  //   name: "Staging app",
+  //   urlPattern: "https://staging.example.com/*", // "*" matches anything
+  //   rootSelector: "#app", // Observe only this subtree (default: whole document)
+  //   ignoreSelectors: [".clock", "style"], // Changes inside these don't count
+  //   ignoredAttributes: ["data-tick"], // Attribute changes that don't count
+  //   ignoreOutsideViewport: true, // Changes to off-screen elements don't count
+  // }
+  siteRules: [],
+};
+
+// Slow devices to simulate while measuring. background.js attaches the
+// debugger to the tab and slows its CPU down with the DevTools protocol's
+// Emulation.setCPUThrottlingRate; a rate of 1 means no slowdown.
+const DEVICE_PROFILES = [
+  { id: "none", name: "This device", cpuThrottlingRate: 1 },
+  { id: "mid-tier-mobile", name: "Mid-tier mobile", cpuThrottlingRate: 4 },
+  { id: "low-end-mobile", name: "Low-end mobile", cpuThrottlingRate: 6 },
+  { id: "very-slow", name: "Very slow device", cpuThrottlingRate: 20 },
+];
+
+// Look up a device profile by id, falling back to no slowdown
+function findDeviceProfile(id) {
+  return (
+    DEVICE_PROFILES.find((profile) => profile.id === id) || DEVICE_PROFILES[0]
+  );
+}
+
+// Device profile name for display, e.g. "Low-end mobile (6x CPU slowdown)"
+function formatDeviceProfile(profile) {
+  return profile.cpuThrottlingRate === 1
+    ? profile.name
+    : `${profile.name} (${profile.cpuThrottlingRate}x CPU slowdown)`;
+}
+
+// Up to this multiple of a budget a latency is amber, beyond it red
+const BUDGET_WARNING_RATIO = 1.5;
+
+// Rate a latency against a budget: "good", "warning" or "bad"
+function rateLatency(latencyMs, budgetMs) {
+  if (latencyMs <= budgetMs) return "good";
+  if (latencyMs <= budgetMs * BUDGET_WARNING_RATIO) return "warning";
+  return "bad";
+}
+
+// Budget limit for display, e.g. "100 ms", "6f@60" or "100 ms / 6f@60"
+function formatBudgetLimit(budget) {
+  const limits = [];
+  if (budget.maxMs !== undefined) limits.push(`${budget.maxMs} ms`);
+  if (budget.maxFrames !== undefined) {
+    limits.push(`${budget.maxFrames}f@${budget.hz || 60}`);
+  }
+  return limits.join(" / ");
+}
+
+// Read the stored settings, filling in defaults for anything not set
+async function loadConfig() {
+  const stored = await chrome.storage.sync.get(DEFAULT_CONFIG);
+  return {
+    ...stored,
+    inputTypes: {
+      ...DEFAULT_CONFIG.inputTypes,
+      ...stored.inputTypes,
+    },
+    continuousModes: {
+      ...DEFAULT_CONFIG.continuousModes,
+      ...stored.continuousModes,
+    },
+    mutationTypes: {
+      ...DEFAULT_CONFIG.mutationTypes,
+      ...stored.mutationTypes,
+    },
+  };
+}
+
+// chrome.storage.local key of the sessions saved from the popup and compared
+// on compare.html: [{id, name, url, savedAt, measurements}]
+const SAVED_SESSIONS_KEY = "savedSessions";
+
+// chrome.storage.local key of the flows recorded from the popup and replayed
+// by background.js: [{id, name, url, recordedAt, steps}], where each step is
+// {selector, url, offsetX, offsetY, inputType, delayMs, latencyMs, timedOut}
+const SAVED_FLOWS_KEY = "savedFlows";
+
+// Match a URL against a pattern where "*" stands for any run of characters,
+// e.g. "*://localhost:3000/*" or "https://*.example.com/checkout*"
+function matchesUrlPattern(pattern, url) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`).test(url);
+}
+
+// The budgets that apply on a URL: those without a pattern or matching it
+function findBudgets(config, url) {
+  return config.budgets.filter(
+    (budget) =>
+      !budget.urlPattern || (url && matchesUrlPattern(budget.urlPattern, url)),
+  );
+}
+
+// The first site rule whose pattern matches the URL, or null
+function findSiteRule(config, url) {
+  if (!url) return null;
+  return (
+    config.siteRules.find((rule) => matchesUrlPattern(rule.urlPattern, url)) ||
+    null
+  );
+}
@@ -1,6 +1,210 @@
 (function () {
   // --- Configuration ---
-  const TIMEOUT_DURATION_MS = 2000; // Time after mouseup to wait for DOM change before timing out.
+  // User settings (timeout, refresh rates, overlay, mutation types) come from
+  // the options page; see DEFAULT_CONFIG in config.js.
+  const EVENT_TIMING_THRESHOLD_MS = 16; // Smallest durationThreshold the Event Timing API accepts.
+  const PRESS_EVENT_NAMES = [
+    "pointerdown",
+    "mousedown",
+    "touchstart",
+    "keydown",
+  ];
+  const RELEASE_EVENT_NAMES = [
+    "pointerup",
+    "mouseup",
+    "click",
+    "touchend",
+    "keyup",
+  ];
+  // Overlay labels for each input type and its press/release events.
+  const INPUT_LABELS = {
+    mouse: { name: "Mouse", press: "Mousedown", release: "Mouseup" },
+    pen: { name: "Pen", press: "Pen down", release: "Pen up" },
+    touch: { name: "Touch", press: "Touchstart", release: "Touchend" },
+    keyboard: { name: "Key", press: "Keydown", release: "Keyup" },
+  };
+  const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "CapsLock", "Fn"];
+  // <input> types whose value is typed in place; password values aren't kept
+  const TEXT_INPUT_TYPES = [
+    "text",
+    "search",
+    "email",
+    "url",
+    "tel",
+    "password",
+    "number",
+  ];
+  const HISTORY_LIMIT = 500; // Measurements kept in the ring buffer (mirrors background.js).
+  const HISTOGRAM_BAR_WIDTH = 20; // Characters used by the longest histogram bar.
+  const MAX_RECORDED_MUTATIONS = 20; // Mutations of the winning batch kept per measurement.
+  const VALUE_PREVIEW_LENGTH = 40; // Characters of attribute/text values shown.
+  const HIGHLIGHT_DURATION_MS = 1200; // How long the changed element stays outlined.
+  const OVERLAY_HOST_TAG = "click-latency-monitor"; // Page element holding the overlay's closed shadow root.
+  // Styles of the overlay's shadow root. :host undoes whatever the page's CSS
+  // does to the host element; nothing else of the page's CSS reaches inside.
+  const OVERLAY_STYLES = `
+    :host {
+      all: initial !important;
+      display: block !important;
+      position: fixed !important;
+      inset: 0 !important;
+      width: auto !important;
+      height: auto !important;
+      margin: 0 !important;
+      padding: 0 !important;
+      border: 0 !important;
+      background: transparent !important;
+      overflow: visible !important;
+      z-index: 2147483647 !important;
+      pointer-events: none !important;
+    }
+    .theme-dark,
+    .theme-auto {
+      --background: rgba(0, 0, 0, 0.7);
+      --panel-background: rgba(0, 0, 0, 0.8);
+      --text: #fff;
+      --border: rgba(255, 255, 255, 0.25);
+      --pressed: rgba(255, 255, 255, 0.25);
+    }
+    .theme-light {
+      --background: rgba(255, 255, 255, 0.92);
+      --panel-background: rgba(255, 255, 255, 0.95);
+      --text: #202124;
+      --border: rgba(0, 0, 0, 0.2);
+      --pressed: rgba(0, 0, 0, 0.12);
+    }
+    @media (prefers-color-scheme: light) {
+      .theme-auto {
+        --background: rgba(255, 255, 255, 0.92);
+        --panel-background: rgba(255, 255, 255, 0.95);
+        --text: #202124;
+        --border: rgba(0, 0, 0, 0.2);
+        --pressed: rgba(0, 0, 0, 0.12);
+      }
+    }
+    .display,
+    .history {
+      position: fixed;
+      padding: 5px 8px;
+      border-radius: 4px;
+      color: var(--text);
+      background: var(--background);
+      box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3);
+      font: 12px/1.3 monospace;
+      white-space: pre;
+      pointer-events: none;
+    }
+    .display {
+      left: 0;
+      top: 0;
+      visibility: hidden;
+    }
+    .display.over-budget {
+      color: #fff;
+      background: rgba(183, 28, 28, 0.9);
+    }
+    .display.badge {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 6px;
+      border-radius: 10px;
+      font-weight: bold;
+    }
+    .display.paused .text {
+      opacity: 0.6;
+    }
+    .history {
+      top: 10px;
+      right: 10px;
+      padding: 6px 10px;
+      background: var(--panel-background);
+    }
+    .controls {
+      display: flex;
+      justify-content: flex-end;
+      gap: 4px;
+      margin-bottom: 4px;
+    }
+    .badge .controls {
+      order: 1;
+      margin: 0;
+    }
+    .following .controls {
+      display: none; /* Out of reach until pinned */
+    }
+    .controls button {
+      all: unset;
+      padding: 0 5px;
+      border: 1px solid var(--border);
+      border-radius: 3px;
+      font: 11px/1.4 sans-serif;
+      cursor: pointer;
+      pointer-events: auto;
+    }
+    .controls button[aria-pressed="true"] {
+      background: var(--pressed);
+    }
+    .controls button:focus-visible {
+      outline: 2px solid #1a73e8;
+    }
+    .outline {
+      position: fixed;
+      border: 2px solid #ff9800;
+      background: rgba(255, 152, 0, 0.15);
+      pointer-events: none;
+    }
+    .outline.picker {
+      display: none;
+      border-color: #1a73e8;
+      background: rgba(26, 115, 232, 0.15);
+    }
+  `;
+  const LONG_TASK_BUFFER_SIZE = 50; // Recent long task / long animation frame entries kept.
+  const MAX_SCRIPTS_PER_FRAME = 5; // Scripts kept per long animation frame, longest first.
+  const REQUEST_BUFFER_SIZE = 100; // Recent fetch / XHR resource entries kept.
+  const REQUEST_INITIATOR_TYPES = ["fetch", "xmlhttprequest"];
+  const MAX_RECORDED_REQUESTS = 20; // Requests kept per measurement.
+  const WATERFALL_WIDTH = 30; // Characters of the overlay waterfall's time axis.
+  const WATERFALL_LABEL_WIDTH = 28; // Characters of each waterfall row's label.
+  // Events exchanged with page-hooks.js in the page's main world
+  const FRAMEWORK_ARM_EVENT = "click-latency-monitor:arm";
+  const FRAMEWORK_CLEANUP_EVENT = "click-latency-monitor:cleanup";
+  const FRAMEWORK_COMMIT_EVENT = "click-latency-monitor:commit";
+  const MAX_RECORDED_COMMITS = 10; // Framework commits kept per measurement.
+  const DRAG_THRESHOLD_PX = 5; // Pointer travel during a press that turns it into a drag.
+  const DRAG_ATTRIBUTES = ["style", "transform", "x", "y", "cx", "cy"]; // Attributes that move a dragged element (HTML and SVG).
+  const SCROLL_IDLE_MS = 300; // A scroll gesture ends after this long without wheel or scroll events.
+  const MAX_PENDING_EVENTS = 100; // Input events of a gesture waiting for an update at most.
+  const MAX_RECORDED_EVENT_LATENCIES = 500; // Per-event latencies kept per drag, scroll or hover.
+  const MAX_STORED_EVENT_LATENCIES = 100; // Of those, evenly spread over the distribution, kept in the history.
+  // Overlay labels for the continuous interactions, see Continuous Interactions below.
+  const CONTINUOUS_LABELS = {
+    drag: {
+      name: "Drag",
+      update: "Move",
+      events: "pointermoves",
+      lead: "pointer",
+    },
+    scroll: {
+      name: "Scroll",
+      update: "DOM",
+      events: "scroll inputs",
+      lead: "scroll",
+    },
+    hover: { name: "Hover", update: "DOM", events: "hovers", lead: "pointer" },
+  };
+  const PIXEL_WATCH_PADDING_MS = 1000; // Frames are compared this much longer than the timeout, from the press.
+  const PAGE_REQUEST_SOURCE = "click-latency-page"; // Marks page API requests (see Page API below)
+  const PAGE_EVENT_SOURCE = "click-latency-monitor"; // Marks replies and events sent to the page
+  const BENCHMARK_HOLD_MS = 50; // Time between a synthetic press and its release, like a quick click.
+  const BENCHMARK_RESULT_PADDING_MS = 1000; // Extra wait for a benchmark click's result after timeout + settle.
+  const REPLAY_ELEMENT_TIMEOUT_MS = 5000; // How long a replayed step waits for its element to appear.
+  const REPLAY_ELEMENT_POLL_MS = 100;
+  const REFRESH_RATE_SAMPLES = 30; // rAF intervals sampled to detect the refresh rate.
+  const COMMON_REFRESH_RATES = [
+    30, 48, 50, 60, 72, 75, 90, 100, 120, 144, 165, 180, 240, 360,
+  ];
 
   // --- Prevent Multiple Instances ---
   if (window.framesMonitorActive) {
@@ -10,105 +214,547 @@
   window.framesMonitorActive = true;
   console.log("Frames Monitor: Initializing...");
 
+  // --- Settings ---
+  // Set by background.js right before injecting this script and replaced on
+  // "config-updated" messages.
+  let config = window.framesMonitorConfig;
+  delete window.framesMonitorConfig;
+  if (!config) {
+    console.error("Frames Monitor: No configuration provided. Aborting.");
+    window.framesMonitorActive = false;
+    return;
+  }
+
   // --- State Variables ---
-  let mousedownTimestamp = null;
-  let mouseupTimestamp = null; // Still needed for the second measurement
-  let mutationObserver = null; // The main observer started after mouseup
-  let earlyMutationObserver = null; // Observer started immediately on mousedown
-  let timeoutId = null; // For the timeout after mouseup
+  let pressTimestamp = null;
+  let releaseTimestamp = null; // Still needed for the second measurement
+  let mutationObserver = null; // The main observer started after release
+  let earlyMutationObserver = null; // Observer started immediately on press
+  let timeoutId = null; // For the timeout after release
   let startMonitoringTimeoutId = null; // For the setTimeout(..., 0) delay
+  let overlayHost = null; // OVERLAY_HOST_TAG element, see Overlay below
+  let overlayElement = null; // Themed container in its closed shadow root, parent of everything the monitor draws
   let displayElement = null;
-  let lastMousePosition = { x: 0, y: 0 };
-  let mutationDetectedBeforeMouseup = false; // Flag to track early detection
+  let displayTextElement = null; // The display element's text, next to its controls
+  let overlayPin = null; // {display} while the overlay is pinned; display is the latest text held back
+  let lastPointerPosition = { x: 0, y: 0 };
+  let mutationDetectedBeforeRelease = false; // Flag to track early detection
+  let pressInput = null; // {type, detail, pointerId?, code?} of the current press
+  let pressEventTimestamp = null; // event.timeStamp of the press (when the input happened)
+  let releaseEventTimestamp = null; // event.timeStamp of the release
+  let currentResult = null; // Result of the current click, re-rendered as paint timings arrive
+  let eventTimingObserver = null; // PerformanceObserver for Event Timing entries
+  let recentEventTimingEntries = []; // Last few Event Timing entries, matched against results
+  let pressTargetSelector = null; // Short CSS path of the press target
+  let pressUrl = null; // location.href when the press happened
+  let pressNavigation = null; // Same-document navigation caused by the press, if any
+  let pressBudget = null; // Budget that applies to the press target, if any
+  let measuring = true; // Paused and resumed from the overlay or the page API
+  let pressSynthetic = false; // The press was dispatched by a script (event.isTrusted is false)
+  let pressBenchmarkRun = null; // {id, run} when the press is a benchmark click
+  let pressReplayStep = null; // {replayId, flowName, step} when the press replays a flow step
+  let pressOffset = null; // Pointer position on the press target, from its top-left corner
+  let pressTargetPath = null; // Full CSS path of the press target, for recorded flows
+  let pressValue = null; // {element, value} when a key was pressed in a text field, see onInput()
+  let history = []; // Ring buffer of measurements for this tab, oldest first
+  let measurementCounter = 0; // Makes measurement ids unique within this page
+  let historyPanelElement = null; // Stats panel, created on first toggle
+  let detectedRefreshRate = null; // Hz measured from rAF cadence, if enabled
+  let detectingRefreshRate = false;
+  let highlightElement = null; // Outline drawn over the changed element
+  let highlightTimeoutId = null;
+  let settleObserver = null; // Keeps counting changes after the first one
+  let settleQuietTimeoutId = null; // Fires once the DOM has been quiet for settleQuietMs
+  let settleMaxTimeoutId = null; // Gives up waiting after settleMaxMs
+  let longTaskObserver = null; // PerformanceObserver for longtask / long-animation-frame
+  let recentLongTasks = []; // Last few long task entries, matched against results
+  let requestObserver = null; // PerformanceObserver for fetch / XHR resource entries
+  let recentRequests = []; // Last few fetch / XHR entries, matched against results
+  let recentCommits = []; // Framework commits reported by page-hooks.js since the press
+  let pixelWatch = null; // {pressId, timeoutId, display, highlight} while the screen is compared, see Visual Changes below
+  let pressPixelChange = null; // {state, timestamp, changedPercent} of the current press, shared by its results
+  let timeoutResult = null; // Result of a press that timed out, updated if a visual change arrives later
+  let pressPointerPosition = null; // Where a pointer press started, to tell drags from clicks
+  let pressDragged = false; // The press turned into a drag, which has no click result
+  let continuous = null; // The drag, scroll or hover being measured, see Continuous Interactions below
+  let picker = null; // {finish} while the user picks an element
+  let pendingClick = null; // {isFor, resolve} of a synthetic click waiting for its measurement
+  let benchmark = null; // The benchmark being run, see Benchmark below
+  let replayStep = null; // {replayId, flowName, step} of the flow step being clicked, see Flow Replay below
+
+  // --- Frames ---
+  // Every frame runs its own copy of this script. The frame that gets the
+  // press measures it; the others watch their DOM on its behalf and report
+  // back through background.js. Only the top frame draws the overlay.
+  const IS_TOP_FRAME = window === window.top;
+  const FRAME_TOKEN = Math.random().toString(36).slice(2); // Tells this frame's own relayed messages apart
+  let pressId = null; // Identifies the current press across frames
+  let remotePress = null; // {id, reported} of a press in another frame being watched for
+  let remoteMutationObserver = null; // Watches this frame for that press
+  let remoteTimeoutId = null;
+  let shadowRootObserver = null; // Finds open shadow roots as nodes are added
+  const shadowRoots = new Set(); // Open shadow roots found so far
 
-  // --- Helper Functions --- (calculateFrames, isIgnorableSelfMutation - unchanged)
+  // --- Helper Functions ---
 
   /**
    * Calculates the number of frames elapsed for a given duration in milliseconds.
    * @param {number | null} ms - Duration in milliseconds.
-   * @returns {{f60: number | string, f120: number | string}} - Frames at 60Hz and 120Hz.
+   * @param {number} hz - Display refresh rate.
+   * @returns {number | null} - Frames at that rate, or null if the duration is unknown.
+   */
+  function calculateFrames(ms, hz) {
+    if (ms === null || ms < 0) return null;
+    return Math.ceil(ms / (1000 / hz));
+  }
+
+  /**
+   * Returns the refresh rates frame counts are reported at: the detected rate
+   * in detection mode (once known), otherwise the configured list.
+   * @returns {number[]}
+   */
+  function getRefreshRates() {
+    if (config.detectRefreshRate && detectedRefreshRate) {
+      return [detectedRefreshRate];
+    }
+    return config.refreshRates;
+  }
+
+  /**
+   * Builds MutationObserver options from the configured mutation types.
+   * @returns {MutationObserverInit}
+   */
+  function getObserverOptions() {
+    return {
+      subtree: true,
+      childList: config.mutationTypes.childList,
+      attributes: config.mutationTypes.attributes,
+      characterData: config.mutationTypes.characterData,
+      // Old values are only needed to show what changed
+      attributeOldValue: config.mutationTypes.attributes,
+      characterDataOldValue: config.mutationTypes.characterData,
+    };
+  }
+
+  /**
+   * Checks whether a node is the overlay's host. Events from inside its
+   * closed shadow root reach the page's listeners retargeted to the host.
+   * @param {Node | null} node
+   * @returns {boolean}
+   */
+  function isMonitorNode(node) {
+    return Boolean(overlayHost) && node === overlayHost;
+  }
+
+  /**
+   * Returns the element a node belongs to: itself, or a text node's parent.
+   * @param {Node | null} node
+   * @returns {Element | null}
+   */
+  function toElement(node) {
+    if (!node) return null;
+    return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  }
+
+  /**
+   * Checks if an element is a form control whose text is edited in place.
+   * Typing only changes its value property, which no MutationObserver sees.
+   * @param {Element | null} element
+   * @returns {boolean}
    */
-  function calculateFrames(ms) {
-    if (ms === null || ms < 0) return { f60: "N/A", f120: "N/A" };
-    const frames60 = Math.ceil(ms / (1000 / 60));
-    const frames120 = Math.ceil(ms / (1000 / 120));
-    return { f60: frames60, f120: frames120 };
+  function isTextField(element) {
+    if (!element) return false;
+    if (element.tagName === "TEXTAREA") return !element.readOnly;
+    return (
+      element.tagName === "INPUT" &&
+      !element.readOnly &&
+      TEXT_INPUT_TYPES.includes(element.type)
+    );
+  }
+
+  /**
+   * Checks whether any part of an element is inside the viewport.
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return (
+      rect.bottom >= 0 &&
+      rect.right >= 0 &&
+      rect.top <= window.innerHeight &&
+      rect.left <= window.innerWidth
+    );
+  }
+
+  /**
+   * Returns the element the observers watch: the site rule's root, if it
+   * exists on the page, otherwise the whole document.
+   * @returns {Element}
+   */
+  function getObservedRoot() {
+    const rule = config.siteRule;
+    if (rule && rule.rootSelector) {
+      const root = document.querySelector(rule.rootSelector);
+      if (root) return root;
+      // Subframes share the tab's rule, whose root is usually in the top page
+      if (IS_TOP_FRAME)
+        console.warn(
+          `Frames Monitor: Root "${rule.rootSelector}" of rule "${rule.name}" not found, observing the whole document.`,
+        );
+    }
+    return document.documentElement;
   }
 
   /**
-   * Checks if a mutation record should be ignored because it was likely caused
-   * by the monitor's own display element updating its style or text.
-   * @param {MutationRecord} mutation - The mutation record.
-   * @param {HTMLElement} displayElem - The display element instance.
-   * @returns {boolean} - True if the mutation should be ignored.
+   * Checks if a mutation counts as the page reacting to the click. The active
+   * site rule can exclude an ignored attribute, a change inside an ignored
+   * selector, or (optionally) a change to elements that are all outside the
+   * viewport.
+   * @param {MutationRecord} mutation
+   * @returns {boolean}
    */
-  function isIgnorableSelfMutation(mutation, displayElem) {
-    if (!displayElem) return false;
-    const target = mutation.target;
+  function isRelevantMutation(mutation) {
+    const rule = config.siteRule;
+    if (!rule) return true;
+
     if (
       mutation.type === "attributes" &&
-      target === displayElem &&
-      mutation.attributeName === "style"
+      (rule.ignoredAttributes || []).includes(mutation.attributeName)
     ) {
-      return true;
+      return false;
     }
-    if (
-      mutation.type === "characterData" &&
-      target.parentNode === displayElem
+
+    // For childList mutations the changed elements are the added/removed
+    // nodes. Removed ones are detached, so their former parent stands in for
+    // ancestor and position checks.
+    const targetElement = toElement(mutation.target);
+    let elements = [targetElement];
+    if (mutation.type === "childList") {
+      const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+      if (nodes.length) {
+        elements = nodes.map((node) => toElement(node) || targetElement);
+      }
+    }
+    elements = elements.filter(Boolean);
+    const inPage = (element) =>
+      element.isConnected ? element : targetElement || element;
+
+    const ignoreSelector = (rule.ignoreSelectors || []).join(", ");
+    if (ignoreSelector) {
+      elements = elements.filter(
+        (element) =>
+          !closestComposed(element, ignoreSelector) &&
+          !closestComposed(inPage(element), ignoreSelector),
+      );
+      if (!elements.length) return false;
+    }
+
+    return (
+      !rule.ignoreOutsideViewport ||
+      elements.some((element) => isInViewport(inPage(element)))
+    );
+  }
+
+  /**
+   * Returns the element a mutation visibly changed: the first added element
+   * still in the page for childList mutations, otherwise the target.
+   * @param {MutationRecord} mutation
+   * @returns {Element | null}
+   */
+  function getChangedElement(mutation) {
+    if (mutation.type === "childList") {
+      for (const node of mutation.addedNodes) {
+        const element = toElement(node);
+        if (element && element.isConnected) return element;
+      }
+    }
+    return toElement(mutation.target);
+  }
+
+  /**
+   * Shortens an attribute or text value for display.
+   * @param {string | null} value
+   * @returns {string | null}
+   */
+  function previewValue(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, " ");
+    return text.length > VALUE_PREVIEW_LENGTH
+      ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…`
+      : text;
+  }
+
+  /**
+   * Summarizes a mutation record as plain data for the overlay and history.
+   * A "value" record stands for typing into a text field, see onInput().
+   * @param {MutationRecord} mutation
+   * @returns {{type: string, target: string | null, attributeName: string | null, oldValue: string | null, newValue: string | null, added: number, removed: number}}
+   */
+  function describeMutation(mutation) {
+    let newValue = null;
+    if (mutation.type === "attributes") {
+      newValue = mutation.target.getAttribute(mutation.attributeName);
+    } else if (mutation.type === "characterData") {
+      newValue = mutation.target.data;
+    } else if (
+      mutation.type === "value" &&
+      mutation.target.type !== "password"
     ) {
-      return true;
+      newValue = mutation.target.value;
     }
-    if (mutation.type === "childList" && target === displayElem) {
-      return true;
+    return {
+      type: mutation.type,
+      target: getCssPath(toElement(mutation.target)),
+      attributeName: mutation.attributeName,
+      oldValue: previewValue(mutation.oldValue),
+      newValue: previewValue(newValue),
+      added: mutation.addedNodes.length,
+      removed: mutation.removedNodes.length,
+    };
+  }
+
+  /**
+   * Formats a described mutation as one overlay line.
+   * @param {ReturnType<typeof describeMutation>} mutation
+   * @returns {string} - e.g. 'attributes button.add [class] "btn" → "btn on"'.
+   */
+  function formatMutation(mutation) {
+    const target = mutation.target || "(detached)";
+    switch (mutation.type) {
+      case "childList":
+        return `childList ${target} (+${mutation.added} −${mutation.removed})`;
+      case "attributes":
+        return `attributes ${target} [${mutation.attributeName}] ${JSON.stringify(mutation.oldValue)} → ${JSON.stringify(mutation.newValue)}`;
+      default:
+        return `${mutation.type} ${target} ${JSON.stringify(mutation.oldValue)} → ${JSON.stringify(mutation.newValue)}`;
     }
-    return false;
   }
 
-  // --- DOM Manipulation --- (createDisplayElement, updateDisplayPosition, updateDisplayText - unchanged)
+  /**
+   * Builds a short, human-readable CSS path for an element, e.g.
+   * "#cart > ul.items > li:nth-of-type(3) > button.add". The path continues
+   * through the host of an open shadow root with ">>>", e.g.
+   * "sl-dialog >>> div.panel > button".
+   * @param {Element | null} element
+   * @param {number} [maxDepth] - Ancestors to include at most, unless one
+   *   has an id. Recorded flows use the full path to find the element again.
+   * @returns {string | null}
+   */
+  function getCssPath(element, maxDepth = 4) {
+    let path = null;
+    let separator = " > ";
+    let depth = 0;
+    let current = element;
+    while (
+      current &&
+      current.nodeType === Node.ELEMENT_NODE &&
+      depth < maxDepth
+    ) {
+      let part;
+      if (current.id) {
+        part = `#${CSS.escape(current.id)}`;
+      } else {
+        part = current.localName;
+        const classes = [...current.classList].slice(0, 2);
+        if (classes.length)
+          part += `.${classes.map((c) => CSS.escape(c)).join(".")}`;
+        // Top-level nodes of a shadow root have no parentElement
+        const container = current.parentNode;
+        if (container) {
+          const siblings = [...container.children].filter(
+            (sibling) => sibling.localName === current.localName,
+          );
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+          }
+        }
+      }
+      path = path === null ? part : `${part}${separator}${path}`;
+      if (current.id) break;
+      depth++;
+      separator = " > ";
+      let parent = current.parentElement;
+      if (!parent) {
+        const root = current.getRootNode();
+        if (root instanceof ShadowRoot) {
+          parent = root.host;
+          separator = " >>> ";
+        }
+      }
+      current = parent;
+    }
+    return path;
+  }
+
+  /**
+   * Returns the value at the given percentile of an ascending list (nearest rank).
+   * @param {number[]} sorted - Values sorted ascending.
+   * @param {number} p - Percentile, 0-100.
+   * @returns {number | null}
+   */
+  function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+  }
+
+  /**
+   * Shrinks an ascending list of latencies to at most
+   * MAX_STORED_EVENT_LATENCIES values at evenly spaced percentiles, rounded
+   * to 0.1 ms, so a gesture's distribution fits in the stored history.
+   * @param {number[]} sorted - Latencies sorted ascending.
+   * @returns {number[]}
+   */
+  function sampleLatencies(sorted) {
+    const step = Math.max(1, sorted.length / MAX_STORED_EVENT_LATENCIES);
+    const sample = [];
+    for (let index = 0; index < sorted.length; index += step) {
+      sample.push(Math.round(sorted[Math.floor(index)] * 10) / 10);
+    }
+    return sample;
+  }
+
+  // --- Overlay ---
+  // Everything the monitor draws lives in a closed shadow root on one host
+  // element, added to <html> before anything is measured and then left
+  // alone. The page's CSS can't restyle what's inside, its MutationObservers
+  // (and ours) never see it change, and as a popover the host sits in the
+  // top layer, above every stacking context of the page.
+
+  /**
+   * Creates the overlay's host and shadow root if they don't exist.
+   */
+  function createOverlay() {
+    if (overlayHost) return;
+    overlayHost = document.createElement(OVERLAY_HOST_TAG);
+    overlayHost.popover = "manual";
+    const root = overlayHost.attachShadow({ mode: "closed" });
+    const style = document.createElement("style");
+    style.textContent = OVERLAY_STYLES;
+    overlayElement = document.createElement("div");
+    root.append(style, overlayElement);
+    applyOverlayStyle();
+    attachOverlay();
+  }
+
+  /**
+   * Adds the host to the page again if the page removed it. Called when a
+   * press starts, before its observers, so the insertion is never measured.
+   */
+  function attachOverlay() {
+    if (!overlayHost || overlayHost.isConnected) return;
+    document.documentElement.appendChild(overlayHost);
+    try {
+      overlayHost.showPopover();
+    } catch (e) {
+      // No popover support: the z-index has to do
+    }
+  }
+
+  /**
+   * Removes the overlay's host and everything in it.
+   */
+  function removeOverlay() {
+    if (overlayHost) overlayHost.remove();
+    overlayHost = null;
+    overlayElement = null;
+    displayElement = null;
+    displayTextElement = null;
+    historyPanelElement = null;
+    highlightElement = null;
+  }
+
+  /**
+   * Applies the theme and layout from the options, and the pause and pin
+   * state to the display element's controls.
+   */
+  function applyOverlayStyle() {
+    if (!overlayElement) return;
+    overlayElement.className = `theme-${config.overlayTheme}`;
+    if (!displayElement) return;
+    displayElement.classList.toggle("badge", config.overlayLayout === "badge");
+    displayElement.classList.toggle(
+      "following",
+      config.overlayPosition === "cursor" && !overlayPin,
+    );
+    displayElement.classList.toggle("paused", !measuring);
+    const [pauseButton, pinButton] = displayElement.querySelectorAll("button");
+    pauseButton.textContent = measuring ? "Pause" : "Resume";
+    pauseButton.setAttribute("aria-pressed", String(!measuring));
+    pinButton.textContent = overlayPin ? "Unpin" : "Pin";
+    pinButton.setAttribute("aria-pressed", String(Boolean(overlayPin)));
+  }
+
   /**
    * Creates the UI element to display results if it doesn't exist.
    */
   function createDisplayElement() {
-    if (displayElement) return;
+    if (displayElement || !overlayElement) return;
     displayElement = document.createElement("div");
-    displayElement.id = "frames-monitor-display";
-    displayElement.style.position = "fixed";
-    displayElement.style.zIndex = "99999";
-    displayElement.style.background = "rgba(0, 0, 0, 0.7)";
-    displayElement.style.color = "white";
-    displayElement.style.padding = "5px 8px";
-    displayElement.style.borderRadius = "4px";
-    displayElement.style.fontSize = "12px";
-    displayElement.style.fontFamily = "monospace";
-    displayElement.style.whiteSpace = "pre";
-    displayElement.style.pointerEvents = "none";
-    displayElement.style.visibility = "hidden";
-    displayElement.style.left = "0px";
-    displayElement.style.top = "0px";
-    document.body.appendChild(displayElement);
-  }
-
-  /**
-   * Updates the position of the display element near the mouse cursor.
+    displayElement.className = "display";
+    const controls = document.createElement("div");
+    controls.className = "controls";
+    const addButton = (title, onClick) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.title = title;
+      // The monitor ignores presses on its overlay; the page needn't see them
+      button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        onClick();
+      });
+      controls.append(button);
+    };
+    addButton("Pause or resume measuring", () => setMeasuring(!measuring));
+    addButton("Keep the overlay where it is, with its current result", () =>
+      setOverlayPinned(!overlayPin),
+    );
+    displayTextElement = document.createElement("div");
+    displayTextElement.className = "text";
+    displayElement.append(controls, displayTextElement);
+    overlayElement.append(displayElement);
+    applyOverlayStyle();
+  }
+
+  /**
+   * Updates the position of the display element: near the mouse cursor, or
+   * pinned to the configured corner of the viewport.
    */
   function updateDisplayPosition() {
-    if (!displayElement || displayElement.style.visibility === "hidden") return;
-    const offsetX = 15;
-    const offsetY = 15;
+    if (!displayElement || displayElement.style.visibility !== "visible") {
+      return;
+    }
+    if (pixelWatch) return; // Holds still while the screen is compared
+    if (overlayPin) return;
+    const offsetX = config.overlayOffset;
+    const offsetY = config.overlayOffset;
+    if (config.overlayPosition !== "cursor") {
+      const [vertical, horizontal] = config.overlayPosition.split("-");
+      displayElement.style.left =
+        horizontal === "left"
+          ? `${offsetX}px`
+          : `${window.innerWidth - displayElement.offsetWidth - offsetX}px`;
+      displayElement.style.top =
+        vertical === "top"
+          ? `${offsetY}px`
+          : `${window.innerHeight - displayElement.offsetHeight - offsetY}px`;
+      return;
+    }
     const winWidth = window.innerWidth;
     const winHeight = window.innerHeight;
     const elWidth = displayElement.offsetWidth;
     const elHeight = displayElement.offsetHeight;
-    let finalX = lastMousePosition.x + offsetX;
-    let finalY = lastMousePosition.y + offsetY;
+    let finalX = lastPointerPosition.x + offsetX;
+    let finalY = lastPointerPosition.y + offsetY;
     if (finalX + elWidth > winWidth - 10) {
-      finalX = lastMousePosition.x - elWidth - offsetX;
+      finalX = lastPointerPosition.x - elWidth - offsetX;
     }
     if (finalX < 10) {
       finalX = 10;
     }
     if (finalY + elHeight > winHeight - 10) {
-      finalY = lastMousePosition.y - elHeight - offsetY;
+      finalY = lastPointerPosition.y - elHeight - offsetY;
     }
     if (finalY < 10) {
       finalY = 10;
@@ -117,11 +763,44 @@
     displayElement.style.top = `${finalY}px`;
   }
 
+  /**
+   * Removes the display element, if any.
+   */
+  function removeDisplayElement() {
+    if (displayElement) displayElement.remove();
+    displayElement = null;
+    displayTextElement = null;
+  }
+
   /**
    * Updates the text content of the display element and makes it visible.
    * @param {string} text - The text to display.
+   * @param {boolean} [overBudget] - Turns the overlay red.
+   * @param {string | null} [summary] - Shown instead in the compact badge
+   *   layout; defaults to the text's first line.
    */
-  function updateDisplayText(text) {
+  function updateDisplayText(text, overBudget = false, summary = null) {
+    if (!IS_TOP_FRAME) {
+      // The overlay lives in the top frame; background.js forwards the text
+      sendToBackground({
+        type: "frame-overlay",
+        text,
+        overBudget,
+        summary,
+        position: { ...lastPointerPosition },
+      });
+      return;
+    }
+    if (config.overlayHidden) return; // Shown in the DevTools panel instead
+    if (pixelWatch) {
+      // Drawing now would count as the page's visual change
+      pixelWatch.display = { text, overBudget, summary };
+      return;
+    }
+    if (overlayPin) {
+      overlayPin.display = { text, overBudget, summary };
+      return;
+    }
     if (!displayElement) {
       createDisplayElement();
       if (!displayElement) {
@@ -129,244 +808,3358 @@
         return;
       }
     }
-    displayElement.textContent = text;
+    displayTextElement.textContent =
+      config.overlayLayout === "badge" ? summary || text.split("\n")[0] : text;
+    displayElement.classList.toggle("over-budget", overBudget);
     displayElement.style.visibility = "visible";
     updateDisplayPosition();
   }
 
-  // --- Core Logic & State Management ---
-
   /**
-   * Resets the click timing state and flag. Called ONLY on mousedown.
+   * Pins the overlay where it is, keeping its current result until unpinned,
+   * or unpins it and shows what was measured meanwhile.
+   * @param {boolean} pinned
    */
-  function resetState() {
-    mousedownTimestamp = null;
-    mouseupTimestamp = null;
-    mutationDetectedBeforeMouseup = false; // Reset the flag
+  function setOverlayPinned(pinned) {
+    if (pinned === Boolean(overlayPin)) return;
+    const display = overlayPin && overlayPin.display;
+    overlayPin = pinned ? { display: null } : null;
+    applyOverlayStyle();
+    if (display) {
+      updateDisplayText(display.text, display.overBudget, display.summary);
+    } else {
+      updateDisplayPosition();
+    }
   }
 
   /**
-   * Stops *all* MutationObservers and clears any pending timeouts.
-   * @param {string} reason - Why monitoring is being stopped.
+   * Pauses or resumes measuring, from the overlay or the page API. A press
+   * being measured is dropped.
+   * @param {boolean} enabled
    */
-  function stopMonitoring(reason = "unknown") {
-    if (startMonitoringTimeoutId) {
-      clearTimeout(startMonitoringTimeoutId);
-      startMonitoringTimeoutId = null;
-    }
-    if (mutationObserver) {
-      mutationObserver.disconnect();
-      mutationObserver = null;
-      // console.log(`Frames Monitor: Main observer stopped (${reason}).`);
-    }
-    if (earlyMutationObserver) {
-      earlyMutationObserver.disconnect();
-      earlyMutationObserver = null;
-      // console.log(`Frames Monitor: Early observer stopped (${reason}).`);
-    }
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-      timeoutId = null;
+  function setMeasuring(enabled) {
+    if (enabled === measuring) return;
+    measuring = enabled;
+    if (!measuring) {
+      stopMonitoring("paused");
+      finishContinuous();
     }
+    applyOverlayStyle();
+    updateDisplayText(
+      measuring ? "Click, tap or type to measure latency" : "Paused",
+    );
   }
 
   /**
-   * Starts the *main* MutationObserver (after mouseup) and the timeout check.
+   * Briefly outlines an element without touching its own styles.
+   * @param {Element | null} element
    */
-  function startMainMonitoring() {
-    startMonitoringTimeoutId = null; // Mark the delay timeout as completed
+  function showHighlight(element) {
+    clearHighlight();
+    if (!element || !element.isConnected || !overlayElement) return;
+    const rect = element.getBoundingClientRect();
+    highlightElement = document.createElement("div");
+    highlightElement.className = "outline";
+    highlightElement.style.left = `${rect.left - 2}px`;
+    highlightElement.style.top = `${rect.top - 2}px`;
+    highlightElement.style.width = `${rect.width}px`;
+    highlightElement.style.height = `${rect.height}px`;
+    overlayElement.append(highlightElement);
+    highlightTimeoutId = setTimeout(clearHighlight, HIGHLIGHT_DURATION_MS);
+  }
 
-    if (mouseupTimestamp === null || mousedownTimestamp === null) {
-      console.warn("Frames Monitor: Missing click timings for main observer.");
-      // Don't reset state here, mousedown handles reset
-      updateDisplayText("Click error. Try again.");
+  /**
+   * Outlines the element a press changed, if the options ask for it. While
+   * the screen is compared the outline waits, like the overlay.
+   * @param {Element | null} element
+   */
+  function highlightChange(element) {
+    if (!config.highlightChanges || config.overlayHidden) return;
+    if (pixelWatch) {
+      pixelWatch.highlight = element;
       return;
     }
-
-    // console.log("Frames Monitor: Starting MAIN MutationObserver and timeout...");
-    mutationObserver = new MutationObserver(handleMutation); // Use the main handler
-    mutationObserver.observe(document.documentElement, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      characterData: true,
-    });
-
-    timeoutId = setTimeout(handleTimeout, TIMEOUT_DURATION_MS);
+    showHighlight(element);
   }
 
   /**
-   * Callback for the *main* MutationObserver (post-mouseup). Processes detected mutations.
-   * @param {MutationRecord[]} mutationsList - List of mutations.
+   * Removes the element highlight, if any.
    */
-  function handleMutation(mutationsList) {
-    const mutationTimestamp = performance.now();
+  function clearHighlight() {
+    if (highlightTimeoutId) {
+      clearTimeout(highlightTimeoutId);
+      highlightTimeoutId = null;
+    }
+    if (highlightElement) highlightElement.remove();
+    highlightElement = null;
+  }
 
-    let containsOnlyIgnorableMutations = true;
-    for (const mutation of mutationsList) {
-      if (!isIgnorableSelfMutation(mutation, displayElement)) {
-        containsOnlyIgnorableMutations = false;
-        break;
-      }
+  /**
+   * Shows or hides the history panel pinned to the top-right corner.
+   * @param {boolean} [visible] - Defaults to toggling the current state.
+   */
+  function toggleHistoryPanel(visible = !historyPanelElement) {
+    if (!visible) {
+      if (historyPanelElement) historyPanelElement.remove();
+      historyPanelElement = null;
+      return;
     }
+    if (!historyPanelElement && overlayElement) {
+      historyPanelElement = document.createElement("div");
+      historyPanelElement.className = "history";
+      overlayElement.append(historyPanelElement);
+    }
+    updateHistoryPanel();
+  }
 
-    if (containsOnlyIgnorableMutations) return; // Exit early
+  /**
+   * Redraws the history panel (if shown) from the current ring buffer.
+   */
+  function updateHistoryPanel() {
+    if (!historyPanelElement || pixelWatch) return;
+    historyPanelElement.textContent = formatHistoryStats(history);
+  }
 
-    stopMonitoring("mutation detected post-mouseup"); // Stop observers and timeout
+  // --- Results ---
 
-    const msFromMousedown =
-      mousedownTimestamp !== null
-        ? (mutationTimestamp - mousedownTimestamp).toFixed(1)
-        : "N/A";
-    const framesMousedown = calculateFrames(
-      mousedownTimestamp !== null
-        ? mutationTimestamp - mousedownTimestamp
-        : null,
-    );
-    const msFromMouseup =
-      mouseupTimestamp !== null
-        ? (mutationTimestamp - mouseupTimestamp).toFixed(1)
-        : "N/A";
-    const framesMouseup = calculateFrames(
-      mouseupTimestamp !== null ? mutationTimestamp - mouseupTimestamp : null,
-    );
+  /**
+   * Returns the time between two timestamps, or null if either is missing.
+   * @param {number | null} start
+   * @param {number | null} end
+   * @returns {number | null}
+   */
+  function elapsed(start, end) {
+    if (start === null || end === null) return null;
+    return end - start;
+  }
 
-    let output = `DOM Change Detected:\n`;
-    output += `Mousedown → DOM: ${msFromMousedown} ms\n (${framesMousedown.f60}f@60, ${framesMousedown.f120}f@120)\n`;
-    output += `Mouseup   → DOM: ${msFromMouseup} ms\n (${framesMouseup.f60}f@60, ${framesMouseup.f120}f@120)`;
+  /**
+   * Formats a duration together with its frame counts.
+   * @param {number | null} ms - Duration in milliseconds.
+   * @returns {string} - e.g. "12.3 ms (1f@60, 2f@120)".
+   */
+  function formatLatency(ms) {
+    if (ms === null || ms < 0) return "N/A";
+    const frames = getRefreshRates().map(
+      (hz) => `${calculateFrames(ms, hz)}f@${hz}`,
+    );
+    return `${ms.toFixed(1)} ms (${frames.join(", ")})`;
+  }
 
-    updateDisplayText(output);
-    // Don't reset state here, wait for next mousedown
+  /**
+   * Formats an input for the overlay, e.g. "Touch" or "Key (Enter)".
+   * @param {string} type - Key of INPUT_LABELS.
+   * @param {string | null} detail - The key for keyboard input.
+   * @returns {string}
+   */
+  function formatInput(type, detail) {
+    const name = INPUT_LABELS[type].name;
+    return detail ? `${name} (${detail === " " ? "Space" : detail})` : name;
   }
 
   /**
-   * Callback for the *early* MutationObserver (post-mousedown).
-   * Specifically handles mutations detected *before* mouseup.
-   * @param {MutationRecord[]} mutationsList - List of mutations.
+   * Snapshots the interaction timings for a detected mutation.
+   * @param {"pre-release" | "post-release" | "navigation" | "timeout"} phase - Which observer detected the mutation.
+   * @param {number | null} mutationTimestamp - When the mutation callback ran (null on timeout).
+   * @param {MutationRecord[]} [mutations] - The relevant mutations of the winning batch.
+   * @returns {object} - The result, completed later by paint and Event Timing data.
    */
-  function handleEarlyMutation(mutationsList) {
-    const mutationTimestamp = performance.now(); // Capture time immediately
+  function createResult(phase, mutationTimestamp, mutations = []) {
+    return {
+      id: `${Date.now().toString(36)}-${++measurementCounter}`,
+      recordedAt: Date.now(),
+      url: location.href,
+      timeOrigin: performance.timeOrigin,
+      targetSelector: pressTargetSelector,
+      targetPath: pressTargetPath,
+      inputType: pressInput.type,
+      inputDetail: pressInput.detail,
+      synthetic: pressSynthetic,
+      benchmarkId: pressBenchmarkRun ? pressBenchmarkRun.id : null,
+      benchmarkRun: pressBenchmarkRun ? pressBenchmarkRun.run : null,
+      replayId: pressReplayStep ? pressReplayStep.replayId : null,
+      flowName: pressReplayStep ? pressReplayStep.flowName : null,
+      flowStep: pressReplayStep ? pressReplayStep.step : null,
+      navigation: pressNavigation,
+      siteRule: config.siteRule ? config.siteRule.name : null,
+      simulatedDevice: config.simulatedDevice,
+      budget: pressBudget,
+      phase,
+      pressTimestamp,
+      releaseTimestamp,
+      pressEventTimestamp,
+      releaseEventTimestamp,
+      mutationTimestamp,
+      mutationFrameUrl: null,
+      rafTimestamp: null,
+      paintTimestamp: null,
+      presentedTimestamp: null,
+      eventTimingName: null,
+      settleState: null, // "settling", "settled" or "unsettled"
+      lastMutationTimestamp: mutationTimestamp,
+      settledTimestamp: null,
+      settledPaintTimestamp: null,
+      totalMutationCount: mutations.length,
+      longTasks: [],
+      requests: [],
+      handlersTimestamp: null, // When the input's event handlers had run (Event Timing)
+      frameworkCommits: [],
+      pixelChange: pressPixelChange,
+      mutationCount: mutations.length,
+      mutations: mutations
+        .slice(0, MAX_RECORDED_MUTATIONS)
+        .map(describeMutation),
+    };
+  }
 
-    let containsOnlyIgnorableMutations = true;
-    for (const mutation of mutationsList) {
-      if (!isIgnorableSelfMutation(mutation, displayElement)) {
-        containsOnlyIgnorableMutations = false;
-        break;
-      }
+  /**
+   * Builds the overlay lines for one start point: mutation time and, in paint
+   * mode, the time the frame containing the mutation was produced.
+   * @param {string} label - Start point label, padded so the arrows line up.
+   * @param {number | null} startTimestamp
+   * @param {object} result
+   * @returns {string[]}
+   */
+  function formatPhaseLines(label, startTimestamp, result) {
+    const lines = [
+      `${label} → DOM:   ${formatLatency(elapsed(startTimestamp, result.mutationTimestamp))}`,
+    ];
+    if (config.paintTiming) {
+      const paint =
+        result.paintTimestamp !== null
+          ? formatLatency(elapsed(startTimestamp, result.paintTimestamp))
+          : "waiting for frame...";
+      lines.push(`${" ".repeat(label.length)} → Paint: ${paint}`);
     }
+    return lines;
+  }
 
-    if (containsOnlyIgnorableMutations) return; // Exit early
-
-    // --- Mutation detected before mouseup! ---
-    mutationDetectedBeforeMouseup = true; // Set the flag
-    stopMonitoring("mutation detected pre-mouseup"); // Stop observers
+  /**
+   * Builds the overlay lines for the visual change found by comparing the
+   * screen around the press, if it was compared.
+   * @param {string} label - Press label, padded like the phase lines.
+   * @param {object} result
+   * @returns {string[]}
+   */
+  function formatPixelLines(label, result) {
+    const change = result.pixelChange;
+    if (!change || change.state === "watching") return [];
+    if (change.state === "unchanged") {
+      return [`${label} → Pixels: no visible change near the press`];
+    }
+    return [
+      `${label} → Pixels: ${formatLatency(elapsed(result.pressTimestamp, change.timestamp))}`,
+      ` (${change.changedPercent.toFixed(0)}% of the ${config.pixelRegionSize} px square around the press)`,
+    ];
+  }
 
-    const msFromMousedown =
-      mousedownTimestamp !== null
-        ? (mutationTimestamp - mousedownTimestamp).toFixed(1)
-        : "N/A";
-    const framesMousedown = calculateFrames(
-      mousedownTimestamp !== null
-        ? mutationTimestamp - mousedownTimestamp
-        : null,
+  /**
+   * Returns when the main thread was free again after the page settled: the
+   * settle time, or the end of the last overlapping long task if later.
+   * @param {object} result
+   * @returns {number | null}
+   */
+  function getIdleTimestamp(result) {
+    if (result.settleState !== "settled") return null;
+    return result.longTasks.reduce(
+      (idle, task) => Math.max(idle, task.startTime + task.duration),
+      result.settledTimestamp,
     );
+  }
 
-    let output = `DOM Change Detected (Pre-Mouseup):\n`;
-    output += `Mousedown → DOM: ${msFromMousedown} ms\n (${framesMousedown.f60}f@60, ${framesMousedown.f120}f@120)`;
+  /**
+   * Builds the overlay lines for the later stages: when the DOM settled, when
+   * the main thread went idle, and the long tasks in between.
+   * @param {string} label - Press label, padded like the phase lines.
+   * @param {object} result
+   * @returns {string[]}
+   */
+  function formatStageLines(label, result) {
+    const changes = `${result.totalMutationCount} mutation${result.totalMutationCount === 1 ? "" : "s"}`;
+    const lines = [];
+    if (result.settleState === "settling") {
+      lines.push(`${label} → Settled: waiting for the DOM to go quiet...`);
+    } else if (result.settleState === "unsettled") {
+      lines.push(
+        `${label} → Settled: still changing after ${config.settleMaxMs / 1000}s (${changes})`,
+      );
+    } else if (result.settleState === "settled") {
+      const pad = " ".repeat(label.length);
+      lines.push(
+        `${label} → Settled: ${formatLatency(elapsed(result.pressTimestamp, result.settledTimestamp))}`,
+      );
+      if (config.paintTiming && result.settledPaintTimestamp !== null) {
+        lines.push(
+          `${pad} → Paint:   ${formatLatency(elapsed(result.pressTimestamp, result.settledPaintTimestamp))}`,
+        );
+      }
+      lines.push(
+        `${pad} → Idle:    ${formatLatency(elapsed(result.pressTimestamp, getIdleTimestamp(result)))}`,
+      );
+      lines.push(` (${changes} until quiet for ${config.settleQuietMs} ms)`);
+    }
+    for (const type of ["longtask", "long-animation-frame"]) {
+      const tasks = result.longTasks.filter((task) => task.type === type);
+      if (!tasks.length) continue;
+      const total = tasks.reduce((sum, task) => sum + task.duration, 0);
+      const longest = Math.max(...tasks.map((task) => task.duration));
+      lines.push(
+        `${type === "longtask" ? "Long tasks" : "Long frames"}: ${tasks.length} (total ${total.toFixed(0)} ms, longest ${longest.toFixed(0)} ms)`,
+      );
+    }
+    const script = getSlowestScript(result);
+    if (script) {
+      lines.push(
+        `Slowest script: ${describeScript(script)} ${script.duration.toFixed(0)} ms`,
+      );
+    }
+    const request = getSlowestRequest(result);
+    if (request) {
+      lines.push(
+        `Requests: ${result.requests.length} (longest ${request.duration.toFixed(0)} ms: ${shortenUrl(request.url)})`,
+      );
+    }
+    return lines;
+  }
 
-    updateDisplayText(output);
-    // *** REMOVED resetState() call here ***
-    // Let the result persist until the next mousedown.
+  /**
+   * Returns the longest script of the long animation frames that overlapped
+   * the interaction, if the browser attributed any.
+   * @param {object} result
+   * @returns {object | null}
+   */
+  function getSlowestScript(result) {
+    return result.longTasks
+      .flatMap((task) => task.scripts || [])
+      .reduce(
+        (slowest, script) =>
+          !slowest || script.duration > slowest.duration ? script : slowest,
+        null,
+      );
   }
 
   /**
-   * Callback for the timeout after mouseup when no mutation is detected by the main observer.
+   * Returns the longest fetch / XHR request started during the interaction.
+   * @param {object} result
+   * @returns {object | null}
    */
-  function handleTimeout() {
-    stopMonitoring("timeout reached");
-    updateDisplayText(
-      `No relevant DOM change detected\n(Timeout: ${TIMEOUT_DURATION_MS / 1000}s after mouseup)`,
+  function getSlowestRequest(result) {
+    return result.requests.reduce(
+      (slowest, request) =>
+        !slowest || request.duration > slowest.duration ? request : slowest,
+      null,
     );
-    // Don't reset state here, wait for next mousedown
   }
 
-  // --- Event Handlers ---
+  /**
+   * Names a script from long animation frame attribution: its function (or
+   * what invoked it, e.g. "BUTTON#buy.onclick") and file.
+   * @param {{sourceFunctionName: string, invoker: string, invokerType: string, sourceUrl: string, sourceCharPosition: number}} script
+   * @returns {string} - e.g. "addToCart (cart.js:1234)".
+   */
+  function describeScript(script) {
+    const name =
+      script.sourceFunctionName || script.invoker || script.invokerType;
+    if (!script.sourceUrl) return name;
+    const file = script.sourceUrl.split(/[?#]/)[0].split("/").pop();
+    const position =
+      script.sourceCharPosition >= 0 ? `:${script.sourceCharPosition}` : "";
+    return `${name} (${file || script.sourceUrl}${position})`;
+  }
 
   /**
-   * Handles the mousedown event. Starts the *early* observer and resets state.
-   * @param {MouseEvent} event
+   * Shortens a request URL for the overlay: the path for this origin, host
+   * and path for others, keeping the end if it is still too long.
+   * @param {string} url
+   * @param {number} [maxLength]
+   * @returns {string}
    */
-  function onMouseDown(event) {
-    if (event.button !== 0) return;
+  function shortenUrl(url, maxLength = VALUE_PREVIEW_LENGTH) {
+    let text = url;
+    try {
+      const parsed = new URL(url, location.href);
+      text =
+        parsed.origin === location.origin
+          ? parsed.pathname + parsed.search
+          : parsed.host + parsed.pathname + parsed.search;
+    } catch (e) {
+      // Not a URL; show it as is
+    }
+    return text.length > maxLength ? `…${text.slice(-(maxLength - 1))}` : text;
+  }
+
+  /**
+   * Draws the requests and long tasks of a result on a shared time axis
+   * starting at the press, with markers for the first change and the settle
+   * time, e.g. " fetch /api/cart   ··████████····  +12 ms, 640 ms".
+   * @param {object} result
+   * @returns {string[]} - Empty when there is nothing to draw.
+   */
+  function formatWaterfallLines(result) {
+    const rows = [
+      ...result.requests.map((request) => ({
+        label: `${request.type === "fetch" ? "fetch" : "xhr"} ${shortenUrl(request.url, WATERFALL_LABEL_WIDTH - 6)}`,
+        startTime: request.startTime,
+        duration: request.duration,
+      })),
+      ...result.longTasks.map((task) => ({
+        label: task.scripts.length
+          ? `script ${describeScript(task.scripts[0])}`
+          : task.type === "longtask"
+            ? "long task"
+            : "long frame",
+        startTime: task.startTime,
+        duration: task.duration,
+      })),
+    ].sort((a, b) => a.startTime - b.startTime);
+    if (!rows.length) return [];
+    const markers = [
+      ["first change", result.mutationTimestamp],
+      ["settled", result.settledTimestamp],
+    ].filter(([, timestamp]) => timestamp !== null);
+    const end = Math.max(
+      ...rows.map((row) => row.startTime + row.duration),
+      ...markers.map(([, timestamp]) => timestamp),
+    );
+    const scale = WATERFALL_WIDTH / Math.max(1, end - result.pressTimestamp);
+    const column = (timestamp) =>
+      Math.min(
+        WATERFALL_WIDTH - 1,
+        Math.max(0, Math.floor((timestamp - result.pressTimestamp) * scale)),
+      );
+    const label = (text) =>
+      text.length > WATERFALL_LABEL_WIDTH
+        ? `${text.slice(0, WATERFALL_LABEL_WIDTH - 1)}…`
+        : text.padEnd(WATERFALL_LABEL_WIDTH);
+
+    const lines = [
+      `Waterfall (press → ${(end - result.pressTimestamp).toFixed(0)} ms):`,
+    ];
+    for (const row of rows) {
+      const from = column(row.startTime);
+      const to = Math.max(from, column(row.startTime + row.duration));
+      const bar =
+        "·".repeat(from) +
+        "█".repeat(to - from + 1) +
+        "·".repeat(WATERFALL_WIDTH - to - 1);
+      const offset = row.startTime - result.pressTimestamp;
+      lines.push(
+        ` ${label(row.label)} ${bar} ${offset < 0 ? "" : "+"}${offset.toFixed(0)} ms, ${row.duration.toFixed(0)} ms`,
+      );
+    }
+    for (const [name, timestamp] of markers) {
+      const at = column(timestamp);
+      const bar = "·".repeat(at) + "│" + "·".repeat(WATERFALL_WIDTH - at - 1);
+      lines.push(
+        ` ${label(name)} ${bar} ${(timestamp - result.pressTimestamp).toFixed(0)} ms`,
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Splits the way from press to first change into the input's event
+   * handlers, the framework commit and the DOM change, in the order they
+   * happened, and names the components the commit rendered.
+   * @param {object} result
+   * @returns {string[]}
+   */
+  function formatFrameworkLines(result) {
+    const commit = findProducingCommit(result);
+    if (!commit && result.handlersTimestamp === null) return [];
+    const stages = [
+      ["handlers done", result.handlersTimestamp],
+      [
+        commit ? `${commit.framework} commit` : null,
+        commit && commit.timestamp,
+      ],
+      ["DOM", result.mutationTimestamp],
+    ]
+      .filter(([name, timestamp]) => name && timestamp !== null)
+      .sort((a, b) => a[1] - b[1]);
+    const lines = [
+      `Timeline: ${stages.map(([name, timestamp]) => `${name} ${elapsed(result.pressTimestamp, timestamp).toFixed(1)} ms`).join(" → ")}`,
+    ];
+    if (!commit) return lines;
+    if (commit.components.length) {
+      lines.push(` Rendered: ${commit.components.join(", ")}`);
+    }
+    if (result.frameworkCommits.length > 1) {
+      lines.push(
+        ` ${result.frameworkCommits.length} ${commit.framework} commits until settled`,
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Returns the framework commit that produced the first change: the last
+   * one before it, else the first one after it.
+   * @param {object} result
+   * @returns {object | null}
+   */
+  function findProducingCommit(result) {
+    const commits = result.frameworkCommits;
+    const before = commits.filter(
+      (commit) => commit.timestamp <= result.mutationTimestamp,
+    );
+    return before.length ? before[before.length - 1] : commits[0] || null;
+  }
+
+  /**
+   * Finds the budget for a press target: the first budget whose selector
+   * matches the element or an ancestor, else the first without a selector.
+   * background.js has already narrowed config.budgets to this page's URL.
+   * @param {Element | null} element
+   * @returns {object | null}
+   */
+  function findBudget(element) {
+    const budgets = config.budgets || [];
+    return (
+      (element &&
+        budgets.find(
+          (budget) =>
+            budget.selector && closestComposed(element, budget.selector),
+        )) ||
+      budgets.find((budget) => !budget.selector) ||
+      null
+    );
+  }
+
+  /**
+   * Checks a result against its budget. A timeout, a page that never
+   * settled for a "settled" budget, or a "paint" budget while paint timing
+   * is off (navigations still get their first paint) always exceeds it.
+   * @param {object} result
+   * @returns {{latencyMs: number | null, exceeded: boolean} | null} - null without a budget, or while the measured stage is still pending.
+   */
+  function checkBudget(result) {
+    const budget = result.budget;
+    if (!budget) return null;
+    const metric = budget.metric || "dom";
+    if (
+      result.phase === "timeout" ||
+      (metric === "settled" && result.settleState === "unsettled") ||
+      (metric === "paint" &&
+        !config.paintTiming &&
+        result.phase !== "navigation")
+    ) {
+      return { latencyMs: null, exceeded: true };
+    }
+    const end = {
+      dom: result.mutationTimestamp,
+      paint: result.paintTimestamp,
+      settled: result.settledTimestamp,
+    }[metric];
+    const latencyMs = elapsed(result.pressTimestamp, end);
+    if (latencyMs === null) return null;
+    const exceeded =
+      (budget.maxMs !== undefined && latencyMs > budget.maxMs) ||
+      (budget.maxFrames !== undefined &&
+        calculateFrames(latencyMs, budget.hz || 60) > budget.maxFrames);
+    return { latencyMs, exceeded };
+  }
+
+  /**
+   * Describes a result's budget and whether it was met.
+   * @param {object} result
+   * @returns {string} - e.g. "Budget (Add to cart): 100 ms to DOM – EXCEEDED by 23.4 ms".
+   */
+  function formatBudgetLine(result) {
+    const budget = result.budget;
+    const name = budget.name || budget.selector;
+    const stage = { dom: "DOM", paint: "Paint", settled: "Settled" }[
+      budget.metric || "dom"
+    ];
+    const line = `Budget${name ? ` (${name})` : ""}: ${budget.limitText} to ${stage}`;
+    const check = checkBudget(result);
+    if (!check) return `${line} – waiting...`;
+    if (!check.exceeded) return `${line} – OK`;
+    if (check.latencyMs === null) return `${line} – EXCEEDED`;
+    const over =
+      budget.maxMs !== undefined && check.latencyMs > budget.maxMs
+        ? ` by ${(check.latencyMs - budget.maxMs).toFixed(1)} ms`
+        : "";
+    return `${line} – EXCEEDED${over}`;
+  }
+
+  /**
+   * Describes the navigation a result went through.
+   * @param {{type: string, fromUrl: string, url: string, transitionType?: string}} navigation
+   * @returns {string[]}
+   */
+  function formatNavigationLines(navigation) {
+    if (navigation.type === "same-document") {
+      return [
+        "Navigation: same-document (history API)",
+        ` To: ${navigation.url}`,
+      ];
+    }
+    return [
+      `Navigation: cross-document (${navigation.transitionType})`,
+      " DOM = page interactive, Paint = first contentful paint",
+      ` From: ${navigation.fromUrl}`,
+    ];
+  }
+
+  /**
+   * Renders a result into the overlay. Called again whenever paint or
+   * Event Timing data for it arrives.
+   * @param {object} result
+   */
+  function renderResult(result) {
+    const labels = INPUT_LABELS[result.inputType];
+    const width = Math.max(labels.press.length, labels.release.length);
+    const lines = [];
+    if (result.phase === "pre-release") {
+      lines.push(`DOM Change Detected (Pre-${labels.release}):`);
+      lines.push(
+        ...formatPhaseLines(
+          labels.press.padEnd(width),
+          result.pressTimestamp,
+          result,
+        ),
+      );
+    } else {
+      lines.push(
+        result.phase === "navigation"
+          ? "New Page Loaded:"
+          : "DOM Change Detected:",
+      );
+      lines.push(
+        ...formatPhaseLines(
+          labels.press.padEnd(width),
+          result.pressTimestamp,
+          result,
+        ),
+      );
+      lines.push(
+        ...formatPhaseLines(
+          labels.release.padEnd(width),
+          result.releaseTimestamp,
+          result,
+        ),
+      );
+    }
+    lines.push(...formatPixelLines(labels.press.padEnd(width), result));
+    lines.push(...formatStageLines(labels.press.padEnd(width), result));
+    lines.push(...formatFrameworkLines(result));
+    if (config.showWaterfall) lines.push(...formatWaterfallLines(result));
+    if (result.presentedTimestamp !== null) {
+      const inputTimestamp =
+        result.phase === "pre-release"
+          ? result.pressEventTimestamp
+          : result.releaseEventTimestamp;
+      lines.push(
+        `Input → Presented: ${formatLatency(elapsed(inputTimestamp, result.presentedTimestamp))}`,
+      );
+      lines.push(` (Event Timing: ${result.eventTimingName})`);
+    }
+    if (result.mutations.length) {
+      const shown = config.showAllMutations
+        ? result.mutations
+        : result.mutations.slice(0, 1);
+      lines.push(
+        `Changed (${result.mutationCount} mutation${result.mutationCount === 1 ? "" : "s"}):`,
+      );
+      lines.push(...shown.map((mutation) => ` ${formatMutation(mutation)}`));
+      if (result.mutationCount > shown.length) {
+        lines.push(` …and ${result.mutationCount - shown.length} more`);
+      }
+    }
+    lines.push(
+      `Input: ${formatInput(result.inputType, result.inputDetail)}${result.synthetic ? " (synthetic)" : ""}`,
+    );
+    if (result.benchmarkRun) {
+      lines.push(`Benchmark click ${result.benchmarkRun}`);
+    }
+    if (result.flowName) {
+      lines.push(`Flow: ${result.flowName}, step ${result.flowStep}`);
+    }
+    if (result.navigation)
+      lines.push(...formatNavigationLines(result.navigation));
+    if (result.mutationFrameUrl) {
+      lines.push(`Changed in frame: ${result.mutationFrameUrl}`);
+    }
+    if (result.siteRule) lines.push(`Rule: ${result.siteRule}`);
+    if (result.simulatedDevice) {
+      lines.push(`Device: ${result.simulatedDevice.label}`);
+    }
+    if (result.budget) lines.push(formatBudgetLine(result));
+    const check = checkBudget(result);
+    const latency = elapsed(result.pressTimestamp, result.mutationTimestamp);
+    updateDisplayText(
+      lines.join("\n"),
+      Boolean(check && check.exceeded),
+      `${result.phase === "navigation" ? "Page" : "DOM"} ${formatLatency(latency)}`,
+    );
+  }
+
+  /**
+   * Renders a press that timed out without a DOM change, along with the
+   * visual change found by comparing the screen, if any.
+   * @param {object} result
+   */
+  function renderTimeoutResult(result) {
+    const labels = INPUT_LABELS[result.inputType];
+    const lines = [
+      "No relevant DOM change detected",
+      `(Timeout: ${config.timeoutMs / 1000}s after ${labels.release.toLowerCase()})`,
+      ...formatPixelLines(labels.press, result),
+    ];
+    if (result.budget) lines.push(formatBudgetLine(result));
+    updateDisplayText(
+      lines.join("\n"),
+      Boolean(result.budget),
+      result.pixelChange && result.pixelChange.state === "changed"
+        ? `Pixels ${formatLatency(elapsed(result.pressTimestamp, result.pixelChange.timestamp))}`
+        : "No change (timed out)",
+    );
+  }
+
+  /**
+   * Re-renders a result and stores its latest state in the history.
+   * @param {object} result
+   */
+  function refreshResult(result) {
+    renderResult(result);
+    recordMeasurement(result);
+  }
+
+  /**
+   * Makes a result the current one, renders and records it and, in paint
+   * mode, waits for the frame that contains the mutation.
+   * @param {object} result
+   */
+  function showResult(result) {
+    currentResult = result;
+    result.frameworkCommits = findFrameworkCommits(result);
+    startSettling(result);
+    refreshResult(result);
+    if (!config.paintTiming) return;
+    applyEventTimingEntries(result);
+    waitForNextPaint(({ rafTimestamp, paintTimestamp }) => {
+      if (currentResult !== result) return; // A new click started meanwhile
+      result.rafTimestamp = rafTimestamp;
+      result.paintTimestamp = paintTimestamp;
+      refreshResult(result);
+    });
+  }
+
+  // --- Settling ---
+
+  /**
+   * Keeps watching after the first change until the DOM has been quiet for
+   * settleQuietMs, counting the changes on the way, so "spinner appeared
+   * fast" can be told apart from "content arrived slow". Gives up after
+   * settleMaxMs, e.g. on pages with a running animation or clock.
+   * @param {object} result - The result whose first change was just found.
+   */
+  function startSettling(result) {
+    let lastPaintTimestamp = null; // Frame after the latest change
+    result.settleState = "settling";
+
+    const finish = (settled) => {
+      stopSettling();
+      if (currentResult !== result) return; // A new interaction started meanwhile
+      result.settleState = settled ? "settled" : "unsettled";
+      if (settled) {
+        result.settledTimestamp = result.lastMutationTimestamp;
+        // The first change's frame is tracked by showResult()
+        result.settledPaintTimestamp =
+          result.lastMutationTimestamp === result.mutationTimestamp
+            ? result.paintTimestamp
+            : lastPaintTimestamp;
+      }
+      applyLongTaskEntries(result);
+      applyRequestEntries(result);
+      applyFrameworkCommits(result);
+      refreshResult(result);
+    };
+    const restartQuietTimer = () => {
+      clearTimeout(settleQuietTimeoutId);
+      settleQuietTimeoutId = setTimeout(
+        () => finish(true),
+        config.settleQuietMs,
+      );
+    };
+
+    settleObserver = new MutationObserver((mutationsList) => {
+      const mutationTimestamp = performance.now();
+      const relevantMutations = mutationsList.filter(isRelevantMutation);
+      if (!relevantMutations.length) return;
+      result.lastMutationTimestamp = mutationTimestamp;
+      result.totalMutationCount += relevantMutations.length;
+      lastPaintTimestamp = null;
+      restartQuietTimer();
+      if (!config.paintTiming) return;
+      waitForNextPaint(({ paintTimestamp }) => {
+        if (result.lastMutationTimestamp === mutationTimestamp) {
+          lastPaintTimestamp = paintTimestamp;
+        }
+      });
+    });
+    observeWithShadowRoots(settleObserver);
+    restartQuietTimer();
+    settleMaxTimeoutId = setTimeout(() => finish(false), config.settleMaxMs);
+  }
+
+  /**
+   * Stops watching for the DOM to settle.
+   */
+  function stopSettling() {
+    if (settleObserver) {
+      settleObserver.disconnect();
+      settleObserver = null;
+    }
+    clearTimeout(settleQuietTimeoutId);
+    clearTimeout(settleMaxTimeoutId);
+    settleQuietTimeoutId = null;
+    settleMaxTimeoutId = null;
+  }
+
+  /**
+   * Starts collecting long task and long animation frame entries, which show
+   * when the main thread was too busy to respond. Does nothing where neither
+   * is supported.
+   */
+  function startLongTaskObserver() {
+    if (typeof PerformanceObserver === "undefined") return;
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    const types = ["longtask", "long-animation-frame"].filter((type) =>
+      supported.includes(type),
+    );
+    if (!types.length) return;
+    longTaskObserver = new PerformanceObserver((list) => {
+      recentLongTasks.push(...list.getEntries());
+      recentLongTasks = recentLongTasks.slice(-LONG_TASK_BUFFER_SIZE);
+      if (currentResult) applyLongTaskEntries(currentResult);
+    });
+    for (const type of types) longTaskObserver.observe({ type });
+  }
+
+  /**
+   * Stops collecting long task entries.
+   */
+  function stopLongTaskObserver() {
+    if (longTaskObserver) {
+      longTaskObserver.disconnect();
+      longTaskObserver = null;
+    }
+    recentLongTasks = [];
+  }
+
+  /**
+   * Attaches the long tasks that overlapped the interaction, from the press
+   * until the DOM settled (or its latest change while still settling).
+   * @param {object} result
+   */
+  function applyLongTaskEntries(result) {
+    if (result.pressTimestamp === null || result.mutationTimestamp === null) {
+      return;
+    }
+    const end = result.settledTimestamp ?? result.lastMutationTimestamp;
+    const longTasks = recentLongTasks
+      .filter(
+        (entry) =>
+          entry.startTime < end &&
+          entry.startTime + entry.duration > result.pressTimestamp,
+      )
+      .map((entry) => ({
+        type: entry.entryType,
+        startTime: entry.startTime,
+        duration: entry.duration,
+        blockingDuration:
+          typeof entry.blockingDuration === "number"
+            ? entry.blockingDuration
+            : null,
+        container: describeLongTaskContainer(entry),
+        scripts: (entry.scripts || [])
+          .map((script) => ({
+            invoker: script.invoker,
+            invokerType: script.invokerType,
+            sourceUrl: script.sourceURL,
+            sourceFunctionName: script.sourceFunctionName,
+            sourceCharPosition: script.sourceCharPosition,
+            startTime: script.startTime,
+            duration: script.duration,
+            forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration,
+          }))
+          .sort((a, b) => b.duration - a.duration)
+          .slice(0, MAX_SCRIPTS_PER_FRAME),
+      }));
+    if (longTasks.length === result.longTasks.length) return;
+    result.longTasks = longTasks;
+    refreshResult(result);
+  }
+
+  /**
+   * Names the frame a long task ran in, when it was not this window (long
+   * task attribution only goes as far as the iframe or embed).
+   * @param {PerformanceEntry} entry
+   * @returns {string | null}
+   */
+  function describeLongTaskContainer(entry) {
+    const attribution = (entry.attribution || [])[0];
+    if (!attribution || attribution.containerType === "window") return null;
+    return (
+      attribution.containerSrc ||
+      attribution.containerId ||
+      attribution.containerName ||
+      attribution.containerType ||
+      null
+    );
+  }
+
+  // --- Framework Commits ---
+  // page-hooks.js runs in the page's main world, where React's and Vue's
+  // devtools hooks and Svelte's development events are visible, and reports
+  // each commit while a press is measured. CustomEvents reach both worlds
+  // synchronously; their detail is JSON, since objects don't cross worlds.
+
+  /**
+   * Tells page-hooks.js to report commits for the press that just started.
+   */
+  function armFrameworkHooks() {
+    window.dispatchEvent(
+      new CustomEvent(FRAMEWORK_ARM_EVENT, {
+        detail: JSON.stringify({
+          durationMs: config.timeoutMs + config.settleMaxMs,
+        }),
+      }),
+    );
+  }
+
+  /**
+   * Collects a commit reported by page-hooks.js.
+   * @param {CustomEvent} event
+   */
+  function onFrameworkCommit(event) {
+    if (pressTimestamp === null || typeof event.detail !== "string") return;
+    let commit;
+    try {
+      commit = JSON.parse(event.detail);
+    } catch (e) {
+      return; // Not from page-hooks.js
+    }
+    recentCommits.push({
+      framework: String(commit.framework),
+      timestamp: Number(commit.timestamp),
+      components: (commit.components || []).map(String),
+      durationMs:
+        typeof commit.durationMs === "number" ? commit.durationMs : null,
+    });
+    if (currentResult) applyFrameworkCommits(currentResult);
+  }
+
+  /**
+   * Returns the commits from the press until the DOM settled (or its latest
+   * change while still settling).
+   * @param {object} result
+   * @returns {object[]}
+   */
+  function findFrameworkCommits(result) {
+    const end = result.settledTimestamp ?? result.lastMutationTimestamp;
+    return recentCommits
+      .filter(
+        (commit) =>
+          commit.timestamp >= result.pressTimestamp && commit.timestamp <= end,
+      )
+      .slice(0, MAX_RECORDED_COMMITS);
+  }
+
+  /**
+   * Attaches the framework commits that belong to the interaction.
+   * @param {object} result
+   */
+  function applyFrameworkCommits(result) {
+    if (result.pressTimestamp === null || result.mutationTimestamp === null) {
+      return;
+    }
+    const commits = findFrameworkCommits(result);
+    if (commits.length === result.frameworkCommits.length) return;
+    result.frameworkCommits = commits;
+    refreshResult(result);
+  }
+
+  // --- Network Requests ---
+
+  /**
+   * Starts collecting Resource Timing entries of fetch and XHR requests.
+   * Entries are only reported once a request has finished.
+   */
+  function startRequestObserver() {
+    if (
+      typeof PerformanceObserver === "undefined" ||
+      !(PerformanceObserver.supportedEntryTypes || []).includes("resource")
+    ) {
+      return;
+    }
+    requestObserver = new PerformanceObserver((list) => {
+      const entries = list
+        .getEntries()
+        .filter((entry) =>
+          REQUEST_INITIATOR_TYPES.includes(entry.initiatorType),
+        );
+      if (!entries.length) return;
+      recentRequests.push(...entries);
+      recentRequests = recentRequests.slice(-REQUEST_BUFFER_SIZE);
+      if (currentResult) applyRequestEntries(currentResult);
+    });
+    requestObserver.observe({ type: "resource" });
+  }
+
+  /**
+   * Stops collecting request entries.
+   */
+  function stopRequestObserver() {
+    if (requestObserver) {
+      requestObserver.disconnect();
+      requestObserver = null;
+    }
+    recentRequests = [];
+  }
+
+  /**
+   * Attaches the fetch / XHR requests started from the press until the DOM
+   * settled (or its latest change while still settling).
+   * @param {object} result
+   */
+  function applyRequestEntries(result) {
+    if (result.pressTimestamp === null || result.mutationTimestamp === null) {
+      return;
+    }
+    const end = result.settledTimestamp ?? result.lastMutationTimestamp;
+    const requests = recentRequests
+      .filter(
+        (entry) =>
+          entry.startTime >= result.pressTimestamp && entry.startTime < end,
+      )
+      .slice(0, MAX_RECORDED_REQUESTS)
+      .map((entry) => ({
+        type: entry.initiatorType,
+        url: entry.name,
+        startTime: entry.startTime,
+        duration: entry.duration,
+        responseStatus: entry.responseStatus || null,
+      }));
+    if (requests.length === result.requests.length) return;
+    result.requests = requests;
+    refreshResult(result);
+  }
+
+  // --- Visual Changes ---
+  // Canvas redraws, :active/:checked styles and CSS transitions change what
+  // is shown without mutating the DOM. With "Detect visual changes" on in
+  // the popup, background.js captures the tab and offscreen.js compares the
+  // frames around each press in the top frame. The overlay and highlight
+  // hold still meanwhile, so their own drawing isn't mistaken for the page's.
+
+  /**
+   * Starts comparing the screen around the current press.
+   * @param {Element | null} target - The press target; keyboard presses are
+   *   compared around its center.
+   */
+  function startPixelWatch(target) {
+    if (pixelWatch) clearTimeout(pixelWatch.timeoutId); // Its overlay text is stale now
+    if (highlightTimeoutId) {
+      // Removing the outline would count too; it goes once the watch ends
+      clearTimeout(highlightTimeoutId);
+      highlightTimeoutId = null;
+    }
+    let point = { ...lastPointerPosition };
+    if (pressInput.type === "keyboard" && target) {
+      const rect = target.getBoundingClientRect();
+      point = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    const durationMs = config.timeoutMs + PIXEL_WATCH_PADDING_MS;
+    pressPixelChange = {
+      state: "watching",
+      timestamp: null,
+      changedPercent: null,
+    };
+    pixelWatch = {
+      pressId,
+      display: null,
+      highlight: null,
+      timeoutId: setTimeout(() => finishPixelWatch(null), durationMs),
+    };
+    sendToBackground({
+      type: "pixel-watch",
+      watch: {
+        pressId,
+        pressEpoch: performance.timeOrigin + pressTimestamp,
+        x: point.x,
+        y: point.y,
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        regionSize: config.pixelRegionSize,
+        thresholdPercent: config.pixelChangePercent,
+        durationMs,
+      },
+    });
+  }
+
+  /**
+   * Handles the first frame that differed around the current press.
+   * @param {{pressId: string, changedEpoch: number, changedPercent: number}} report
+   */
+  function onPixelChange(report) {
+    if (!pixelWatch || report.pressId !== pixelWatch.pressId) return;
+    finishPixelWatch({
+      timestamp: report.changedEpoch - performance.timeOrigin,
+      changedPercent: report.changedPercent,
+    });
+  }
+
+  /**
+   * Ends the watch: records the visual change (or that there was none by the
+   * timeout) with the press's results and draws what was held back.
+   * @param {{timestamp: number, changedPercent: number} | null} change
+   */
+  function finishPixelWatch(change) {
+    if (!pixelWatch) return;
+    const { timeoutId, display, highlight } = pixelWatch;
+    clearTimeout(timeoutId);
+    pixelWatch = null;
+    if (pressPixelChange) {
+      pressPixelChange.state = change ? "changed" : "unchanged";
+      if (change) {
+        pressPixelChange.timestamp = change.timestamp;
+        pressPixelChange.changedPercent = change.changedPercent;
+      }
+    }
+    if (currentResult) {
+      refreshResult(currentResult);
+    } else if (timeoutResult) {
+      renderTimeoutResult(timeoutResult);
+      recordMeasurement(timeoutResult);
+    } else if (display) {
+      updateDisplayText(display.text, display.overBudget, display.summary);
+    }
+    if (highlight) {
+      showHighlight(highlight);
+    } else if (highlightElement && !highlightTimeoutId) {
+      highlightTimeoutId = setTimeout(clearHighlight, HIGHLIGHT_DURATION_MS);
+    }
+    updateHistoryPanel();
+  }
+
+  // --- Paint Timing ---
+
+  /**
+   * Calls back after the next frame has been produced. The rAF callback runs
+   * right before rendering; a message posted from inside it is delivered once
+   * that rendering step has finished.
+   * @param {(timings: {rafTimestamp: number, paintTimestamp: number}) => void} callback
+   */
+  function waitForNextPaint(callback) {
+    requestAnimationFrame(() => {
+      const rafTimestamp = performance.now();
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        callback({ rafTimestamp, paintTimestamp: performance.now() });
+      };
+      channel.port2.postMessage(null);
+    });
+  }
+
+  /**
+   * Starts collecting Event Timing entries, which report when the frame after
+   * an input event was actually presented. Does nothing where unsupported.
+   */
+  function startEventTimingObserver() {
+    if (
+      !config.paintTiming ||
+      typeof PerformanceObserver === "undefined" ||
+      !(PerformanceObserver.supportedEntryTypes || []).includes("event")
+    ) {
+      return;
+    }
+    eventTimingObserver = new PerformanceObserver((list) => {
+      recentEventTimingEntries.push(...list.getEntries());
+      recentEventTimingEntries = recentEventTimingEntries.slice(-20);
+      if (currentResult) applyEventTimingEntries(currentResult);
+    });
+    eventTimingObserver.observe({
+      type: "event",
+      durationThreshold: EVENT_TIMING_THRESHOLD_MS,
+    });
+  }
+
+  /**
+   * Stops collecting Event Timing entries.
+   */
+  function stopEventTimingObserver() {
+    if (eventTimingObserver) {
+      eventTimingObserver.disconnect();
+      eventTimingObserver = null;
+    }
+    recentEventTimingEntries = [];
+  }
+
+  /**
+   * Measures the display refresh rate from the median interval between
+   * requestAnimationFrame callbacks, snapped to the nearest common rate.
+   */
+  function detectRefreshRate() {
+    if (detectingRefreshRate) return;
+    detectingRefreshRate = true;
+    const intervals = [];
+    let lastTimestamp = null;
+    const sample = (timestamp) => {
+      if (lastTimestamp !== null) intervals.push(timestamp - lastTimestamp);
+      lastTimestamp = timestamp;
+      if (intervals.length < REFRESH_RATE_SAMPLES) {
+        requestAnimationFrame(sample);
+        return;
+      }
+      intervals.sort((a, b) => a - b);
+      const measuredHz = 1000 / percentile(intervals, 50);
+      detectedRefreshRate = COMMON_REFRESH_RATES.reduce((best, hz) =>
+        Math.abs(hz - measuredHz) < Math.abs(best - measuredHz) ? hz : best,
+      );
+      detectingRefreshRate = false;
+      console.log(
+        `Frames Monitor: Detected ${detectedRefreshRate}Hz (measured ${measuredHz.toFixed(1)}Hz).`,
+      );
+      updateHistoryPanel();
+    };
+    requestAnimationFrame(sample);
+  }
+
+  /**
+   * Attaches the presentation time of the input event that belongs to the
+   * result's phase. Entries only count if their frame could contain the
+   * mutation, i.e. it was presented after the mutation happened.
+   * @param {object} result
+   */
+  function applyEventTimingEntries(result) {
+    const isPressPhase = result.phase === "pre-release";
+    const names = isPressPhase ? PRESS_EVENT_NAMES : RELEASE_EVENT_NAMES;
+    const inputTimestamp = isPressPhase
+      ? result.pressEventTimestamp
+      : result.releaseEventTimestamp;
+    if (inputTimestamp === null) return;
+
+    let updated = false;
+    for (const entry of recentEventTimingEntries) {
+      if (!names.includes(entry.name)) continue;
+      if (Math.abs(entry.startTime - inputTimestamp) >= 1) continue;
+      if (
+        result.handlersTimestamp === null ||
+        entry.processingEnd > result.handlersTimestamp
+      ) {
+        result.handlersTimestamp = entry.processingEnd;
+        updated = true;
+      }
+      // presentationTime is newer and unrounded; duration is rounded to 8ms.
+      const presentedTimestamp =
+        typeof entry.presentationTime === "number" && entry.presentationTime > 0
+          ? entry.presentationTime
+          : entry.startTime + entry.duration;
+      if (presentedTimestamp < result.mutationTimestamp) continue;
+      if (
+        result.presentedTimestamp === null ||
+        presentedTimestamp > result.presentedTimestamp
+      ) {
+        result.presentedTimestamp = presentedTimestamp;
+        result.eventTimingName = entry.name;
+        updated = true;
+      }
+    }
+    if (updated) refreshResult(result);
+  }
+
+  // --- Measurement History ---
+
+  /**
+   * Converts a result into the flat record kept in the history and storage.
+   * @param {object} result
+   * @returns {object}
+   */
+  function toMeasurement(result) {
+    const latencyMs = elapsed(result.pressTimestamp, result.mutationTimestamp);
+    const refreshRates = getRefreshRates();
+    const budgetCheck = checkBudget(result);
+    const slowestScript = getSlowestScript(result);
+    const slowestRequest = getSlowestRequest(result);
+    const commit = findProducingCommit(result);
+    const inputTimestamp =
+      result.phase === "pre-release"
+        ? result.pressEventTimestamp
+        : result.releaseEventTimestamp;
+    return {
+      id: result.id,
+      recordedAt: result.recordedAt,
+      url: result.url,
+      timeOrigin: result.timeOrigin,
+      interaction: "click",
+      targetSelector: result.targetSelector,
+      targetPath: result.targetPath, // Full CSS path, for finding the target again
+      topFrame: IS_TOP_FRAME,
+      inputType: result.inputType,
+      inputDetail: result.inputDetail,
+      synthetic: result.synthetic,
+      benchmarkId: result.benchmarkId,
+      benchmarkRun: result.benchmarkRun,
+      replayId: result.replayId,
+      flowName: result.flowName,
+      flowStep: result.flowStep,
+      navigation: result.navigation,
+      navigationType: result.navigation ? result.navigation.type : null,
+      siteRule: result.siteRule,
+      deviceProfile: result.simulatedDevice
+        ? result.simulatedDevice.name
+        : null,
+      cpuThrottlingRate: result.simulatedDevice
+        ? result.simulatedDevice.cpuThrottlingRate
+        : 1,
+      phase: result.phase,
+      timedOut: result.phase === "timeout",
+      pressTimestamp: result.pressTimestamp,
+      releaseTimestamp: result.releaseTimestamp,
+      mutationTimestamp: result.mutationTimestamp,
+      mutationFrameUrl: result.mutationFrameUrl,
+      paintTimestamp: result.paintTimestamp,
+      presentedTimestamp: result.presentedTimestamp,
+      latencyMs,
+      releaseLatencyMs: elapsed(
+        result.releaseTimestamp,
+        result.mutationTimestamp,
+      ),
+      paintLatencyMs: elapsed(result.pressTimestamp, result.paintTimestamp),
+      presentedLatencyMs: elapsed(inputTimestamp, result.presentedTimestamp),
+      settleState: result.settleState,
+      settledTimestamp: result.settledTimestamp,
+      settledPaintTimestamp: result.settledPaintTimestamp,
+      idleTimestamp: getIdleTimestamp(result),
+      settledLatencyMs: elapsed(result.pressTimestamp, result.settledTimestamp),
+      idleLatencyMs: elapsed(result.pressTimestamp, getIdleTimestamp(result)),
+      totalMutationCount: result.totalMutationCount,
+      longTasks: result.longTasks,
+      longTaskCount: result.longTasks.length,
+      longTaskMs: result.longTasks.reduce(
+        (sum, task) => sum + task.duration,
+        0,
+      ),
+      slowestScript: slowestScript ? describeScript(slowestScript) : null,
+      slowestScriptMs: slowestScript ? slowestScript.duration : null,
+      requests: result.requests,
+      pixelState: result.pixelChange ? result.pixelChange.state : null,
+      pixelChangeTimestamp: result.pixelChange
+        ? result.pixelChange.timestamp
+        : null,
+      pixelLatencyMs: result.pixelChange
+        ? elapsed(result.pressTimestamp, result.pixelChange.timestamp)
+        : null,
+      pixelChangedPercent: result.pixelChange
+        ? result.pixelChange.changedPercent
+        : null,
+      handlersTimestamp: result.handlersTimestamp,
+      handlersLatencyMs: elapsed(
+        result.pressTimestamp,
+        result.handlersTimestamp,
+      ),
+      framework: commit ? commit.framework : null,
+      frameworkCommits: result.frameworkCommits,
+      frameworkCommitCount: result.frameworkCommits.length,
+      commitTimestamp: commit ? commit.timestamp : null,
+      commitLatencyMs: commit
+        ? elapsed(result.pressTimestamp, commit.timestamp)
+        : null,
+      commitComponents: commit ? commit.components.join(", ") : null,
+      requestCount: result.requests.length,
+      slowestRequestUrl: slowestRequest ? slowestRequest.url : null,
+      slowestRequestMs: slowestRequest ? slowestRequest.duration : null,
+      budget: result.budget,
+      budgetName: result.budget
+        ? result.budget.name || result.budget.selector || null
+        : null,
+      budgetLimit: result.budget ? result.budget.limitText : null,
+      budgetMetric: result.budget ? result.budget.metric || "dom" : null,
+      budgetLatencyMs: budgetCheck ? budgetCheck.latencyMs : null,
+      budgetViolated: budgetCheck ? budgetCheck.exceeded : null,
+      mutationCount: result.mutationCount,
+      mutations: result.mutations,
+      refreshRates,
+      frames: Object.fromEntries(
+        refreshRates.map((hz) => [hz, calculateFrames(latencyMs, hz)]),
+      ),
+    };
+  }
+
+  /**
+   * Adds or updates a measurement in the ring buffer. Results are recorded
+   * again as paint timings arrive, so records are upserted by id.
+   * @param {object} measurement
+   */
+  function addToHistory(measurement) {
+    const index = history.findIndex((entry) => entry.id === measurement.id);
+    if (index === -1) {
+      history.push(measurement);
+      if (history.length > HISTORY_LIMIT) history.shift();
+    } else {
+      history[index] = measurement;
+    }
+    updateHistoryPanel();
+    const pageMeasurement = IS_TOP_FRAME && toPageMeasurement(measurement);
+    if (pageMeasurement) {
+      postToPage({ type: "result", measurement: pageMeasurement });
+    }
+  }
+
+  /**
+   * Adds a result to the history and sends it to the background for storage
+   * (which also forwards subframe measurements to the top frame's panel).
+   * @param {object} result
+   */
+  function recordMeasurement(result) {
+    const measurement = toMeasurement(result);
+    addToHistory(measurement);
+    sendToBackground({ type: "measurement", measurement });
+    handleSyntheticMeasurement(measurement);
+  }
+
+  /**
+   * Loads measurements stored for this tab (e.g. from before a re-injection)
+   * in front of the ones recorded since initialization.
+   */
+  async function loadStoredHistory() {
+    const response = await sendToBackground({ type: "get-history" });
+    if (!response || !Array.isArray(response.measurements)) return;
+    const ids = new Set(history.map((entry) => entry.id));
+    history = [
+      ...response.measurements.filter((entry) => !ids.has(entry.id)),
+      ...history,
+    ].slice(-HISTORY_LIMIT);
+    updateHistoryPanel();
+  }
+
+  /**
+   * Formats count, percentiles and a frame-bucket histogram of the
+   * Press → DOM latencies in a list of measurements.
+   * @param {string} heading - First line, before the counts.
+   * @param {object[]} measurements
+   * @returns {string[]}
+   */
+  function formatLatencyStats(heading, measurements) {
+    const latencies = measurements
+      .filter((entry) => entry.latencyMs !== null)
+      .map((entry) => entry.latencyMs)
+      .sort((a, b) => a - b);
+    const timeouts = measurements.filter((entry) => entry.timedOut).length;
+    const overBudget = measurements.filter(
+      (entry) => entry.budgetViolated,
+    ).length;
+    const lines = [
+      `${heading}: ${latencies.length} measured, ${timeouts} timed out`,
+    ];
+    if (overBudget) lines.push(`${overBudget} over budget`);
+    if (!latencies.length) return lines;
+
+    const stat = (value) => value.toFixed(1);
+    lines.push(
+      `min ${stat(latencies[0])}  med ${stat(percentile(latencies, 50))}  p75 ${stat(percentile(latencies, 75))}`,
+    );
+    lines.push(
+      `p95 ${stat(percentile(latencies, 95))}  max ${stat(latencies[latencies.length - 1])} ms`,
+    );
+    const settled = measurements
+      .filter((entry) => typeof entry.settledLatencyMs === "number")
+      .map((entry) => entry.settledLatencyMs)
+      .sort((a, b) => a - b);
+    if (settled.length) {
+      lines.push(
+        `Settled: med ${stat(percentile(settled, 50))}  p95 ${stat(percentile(settled, 95))} ms`,
+      );
+    }
+
+    // Bucket by frames at the first reported refresh rate.
+    const hz = getRefreshRates()[0];
+    const buckets = [
+      { label: "  1f", max: 1 },
+      { label: "  2f", max: 2 },
+      { label: "  3f", max: 3 },
+      { label: "  4f", max: 4 },
+      { label: "5-8f", max: 8 },
+      { label: " 9f+", max: Infinity },
+    ].map((bucket) => ({ ...bucket, count: 0 }));
+    for (const latency of latencies) {
+      const frames = calculateFrames(latency, hz);
+      buckets.find((bucket) => frames <= bucket.max).count++;
+    }
+    const largest = Math.max(...buckets.map((bucket) => bucket.count));
+    lines.push(`Press → DOM (frames@${hz}):`);
+    for (const bucket of buckets) {
+      const width = Math.round((bucket.count / largest) * HISTOGRAM_BAR_WIDTH);
+      lines.push(`${bucket.label} ${"█".repeat(width)} ${bucket.count}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Formats the history panel. Benchmark clicks are synthetic, so they are
+   * counted but left out of the stats for real input.
+   * @param {object[]} measurements
+   * @returns {string}
+   */
+  function formatHistoryStats(measurements) {
+    const real = measurements.filter((entry) => !entry.synthetic);
+    const lines = formatLatencyStats("History (this tab)", real);
+    const synthetic = measurements.length - real.length;
+    if (synthetic) {
+      lines.splice(1, 0, `${synthetic} synthetic (benchmark) not included`);
+    }
+    for (const kind of Object.keys(CONTINUOUS_LABELS)) {
+      lines.push(...formatContinuousStats(kind, real));
+    }
+    if (!real.some((entry) => entry.latencyMs !== null)) {
+      lines.push("Click, tap or type to measure latency");
+    }
+    return lines.join("\n");
+  }
+
+  // --- Extension Messaging ---
+
+  /**
+   * Sends a message to background.js. Resolves to undefined instead of
+   * rejecting when the extension was reloaded and this script is orphaned.
+   * @param {object} message
+   * @returns {Promise<any>}
+   */
+  async function sendToBackground(message) {
+    try {
+      return await chrome.runtime.sendMessage(message);
+    } catch (err) {
+      console.warn(
+        `Frames Monitor: Could not reach background (${err.message}).`,
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Handles messages sent by background.js to this tab.
+   * @param {{type: string}} message
+   * @param {chrome.runtime.MessageSender} sender
+   * @param {(response: any) => void} sendResponse - Used by replay steps.
+   * @returns {boolean | undefined} - True when the response comes later.
+   */
+  function onRuntimeMessage(message, sender, sendResponse) {
+    if (message.type === "toggle-history-panel") {
+      toggleHistoryPanel();
+    } else if (message.type === "toggle-overlay-pin") {
+      setOverlayPinned(!overlayPin);
+    } else if (message.type === "config-updated") {
+      applyConfig(message.config);
+    } else if (message.type === "same-document-navigation") {
+      handleSameDocumentNavigation(message.url);
+    } else if (message.type === "frame-press") {
+      handleFramePress(message.press);
+    } else if (message.type === "frame-mutation") {
+      handleFrameMutation(message.report);
+    } else if (message.type === "frame-overlay") {
+      showFrameOverlay(
+        message.text,
+        message.position,
+        message.overBudget,
+        message.summary,
+      );
+    } else if (message.type === "frame-measurement") {
+      addToHistory(message.measurement);
+    } else if (message.type === "start-benchmark") {
+      runBenchmark(message.options);
+    } else if (message.type === "replay-step") {
+      replayFlowStep(message.replay, message.step).then(sendResponse);
+      return true;
+    } else if (message.type === "replay-finished") {
+      finishReplay(message.replay);
+    } else if (message.type === "highlight-target") {
+      highlightTarget(message.selector);
+    } else if (message.type === "pixel-change") {
+      onPixelChange(message.report);
+    }
+  }
+
+  /**
+   * Scrolls to and outlines a measured target for the DevTools panel.
+   * @param {string} selector - The target's CSS path, see getCssPath().
+   */
+  function highlightTarget(selector) {
+    const element = queryCssPath(selector);
+    if (!element) return;
+    element.scrollIntoView({ block: "center", inline: "nearest" });
+    showHighlight(element);
+  }
+
+  /**
+   * Tells the background about a press (and later its release), so that if
+   * it causes a cross-document navigation the next page can finish the
+   * measurement. Times are absolute (timeOrigin + timestamp) because the next
+   * document has its own time origin.
+   */
+  function reportPress() {
+    sendToBackground({
+      type: "press",
+      press: {
+        id: pressId,
+        frameToken: FRAME_TOKEN,
+        pressEpoch: performance.timeOrigin + pressTimestamp,
+        releaseEpoch:
+          releaseTimestamp === null
+            ? null
+            : performance.timeOrigin + releaseTimestamp,
+        inputType: pressInput.type,
+        inputDetail: pressInput.detail,
+        targetSelector: pressTargetSelector,
+        targetPath: pressTargetPath,
+        offsetX: pressOffset ? pressOffset.x : null,
+        offsetY: pressOffset ? pressOffset.y : null,
+        url: pressUrl,
+        synthetic: pressSynthetic,
+        benchmarkRun: pressBenchmarkRun,
+        replayStep: pressReplayStep,
+        watchingPixels: Boolean(pixelWatch),
+      },
+    });
+  }
+
+  /**
+   * Switches to new settings while running. Observers already watching a
+   * press keep their options until the next one.
+   * @param {object} newConfig
+   */
+  function applyConfig(newConfig) {
+    config = newConfig;
+    if (config.paintTiming && !eventTimingObserver) {
+      startEventTimingObserver();
+    } else if (!config.paintTiming) {
+      stopEventTimingObserver();
+    }
+    if (config.detectRefreshRate && !detectedRefreshRate) {
+      detectRefreshRate();
+    }
+    if (config.overlayHidden) {
+      removeDisplayElement();
+      clearHighlight();
+    }
+    applyOverlayStyle();
+    if (!config.pixelCapture) finishPixelWatch(null);
+    if (continuous && !config.continuousModes[continuous.kind]) {
+      finishContinuous();
+    }
+    updateDisplayPosition();
+    updateHistoryPanel();
+  }
+
+  // --- Core Logic & State Management ---
+
+  /**
+   * Resets the interaction timing state and flag. Called ONLY on press.
+   */
+  function resetState() {
+    pressInput = null;
+    pressTimestamp = null;
+    releaseTimestamp = null;
+    pressEventTimestamp = null;
+    releaseEventTimestamp = null;
+    currentResult = null;
+    pressId = null;
+    pressTargetSelector = null;
+    pressUrl = null;
+    pressNavigation = null;
+    pressBudget = null;
+    pressSynthetic = false;
+    pressBenchmarkRun = null;
+    pressReplayStep = null;
+    pressOffset = null;
+    pressTargetPath = null;
+    pressValue = null;
+    recentCommits = [];
+    pressPixelChange = null;
+    timeoutResult = null;
+    pressPointerPosition = null;
+    pressDragged = false;
+    mutationDetectedBeforeRelease = false; // Reset the flag
+  }
+
+  /**
+   * Stops *all* MutationObservers and clears any pending timeouts.
+   * @param {string} reason - Why monitoring is being stopped.
+   */
+  function stopMonitoring(reason = "unknown") {
+    if (startMonitoringTimeoutId) {
+      clearTimeout(startMonitoringTimeoutId);
+      startMonitoringTimeoutId = null;
+    }
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+      // console.log(`Frames Monitor: Main observer stopped (${reason}).`);
+    }
+    if (earlyMutationObserver) {
+      earlyMutationObserver.disconnect();
+      earlyMutationObserver = null;
+      // console.log(`Frames Monitor: Early observer stopped (${reason}).`);
+    }
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    stopSettling();
+  }
+
+  /**
+   * Starts the *main* MutationObserver (after release) and the timeout check.
+   */
+  function startMainMonitoring() {
+    startMonitoringTimeoutId = null; // Mark the delay timeout as completed
+
+    if (releaseTimestamp === null || pressTimestamp === null) {
+      console.warn("Frames Monitor: Missing input timings for main observer.");
+      // Don't reset state here, the next press handles reset
+      updateDisplayText("Input error. Try again.");
+      return;
+    }
+
+    // console.log("Frames Monitor: Starting MAIN MutationObserver and timeout...");
+    mutationObserver = new MutationObserver(handleMutation); // Use the main handler
+    observeWithShadowRoots(mutationObserver);
+
+    timeoutId = setTimeout(handleTimeout, config.timeoutMs);
+  }
+
+  /**
+   * Callback for the *main* MutationObserver (post-release). Processes detected mutations.
+   * @param {MutationRecord[]} mutationsList - List of mutations.
+   */
+  function handleMutation(mutationsList) {
+    const mutationTimestamp = performance.now();
+
+    const relevantMutations = mutationsList.filter(isRelevantMutation);
+    if (!relevantMutations.length) return; // Exit early
+
+    stopMonitoring("mutation detected post-release"); // Stop observers and timeout
+    showResult(
+      createResult("post-release", mutationTimestamp, relevantMutations),
+    );
+    highlightChange(getChangedElement(relevantMutations[0]));
+    scheduleShadowRootScan();
+    // Don't reset state here, wait for next press
+  }
+
+  /**
+   * Callback for the *early* MutationObserver (post-press).
+   * Specifically handles mutations detected *before* release.
+   * @param {MutationRecord[]} mutationsList - List of mutations.
+   */
+  function handleEarlyMutation(mutationsList) {
+    const mutationTimestamp = performance.now(); // Capture time immediately
+
+    const relevantMutations = mutationsList.filter(isRelevantMutation);
+    if (!relevantMutations.length) return; // Exit early
+
+    // --- Mutation detected before release! ---
+    mutationDetectedBeforeRelease = true; // Set the flag
+    stopMonitoring("mutation detected pre-release"); // Stop observers
+    showResult(
+      createResult("pre-release", mutationTimestamp, relevantMutations),
+    );
+    highlightChange(getChangedElement(relevantMutations[0]));
+    scheduleShadowRootScan();
+    // Let the result persist until the next press.
+  }
+
+  /**
+   * Ends the press in a text field when its value changed: the browser
+   * draws the typed text without a DOM mutation. showResult() then follows
+   * it to the next paint like any other change.
+   * @param {HTMLInputElement | HTMLTextAreaElement} element
+   */
+  function handleValueChange(element) {
+    const mutationTimestamp = performance.now();
+    const phase = releaseTimestamp === null ? "pre-release" : "post-release";
+    const change = {
+      type: "value",
+      target: element,
+      attributeName: null,
+      oldValue: element.type === "password" ? null : pressValue.value,
+      addedNodes: [],
+      removedNodes: [],
+    };
+    if (phase === "pre-release") mutationDetectedBeforeRelease = true;
+    stopMonitoring(`value changed ${phase}`);
+    showResult(createResult(phase, mutationTimestamp, [change]));
+    highlightChange(element);
+    scheduleShadowRootScan();
+  }
+
+  /**
+   * Callback for the timeout after release when no mutation is detected by the main observer.
+   */
+  function handleTimeout() {
+    stopMonitoring("timeout reached");
+    const result = createResult("timeout", null);
+    timeoutResult = result;
+    recordMeasurement(result);
+    scheduleShadowRootScan();
+    renderTimeoutResult(result);
+    // Don't reset state here, wait for next press
+  }
+
+  /**
+   * Starts a measurement for a press of any input type. Resets state and
+   * starts the *early* observer.
+   * @param {Event} event - The pointerdown, touchstart or keydown event.
+   * @param {{type: string, detail: string | null, pointerId?: number, code?: string}} input
+   */
+  function startPress(event, input) {
+    if (benchmark && event.isTrusted) stopBenchmark("Stopped by real input");
+    if (replayStep && event.isTrusted && pendingClick) {
+      replayStep.stoppedByInput = true; // Ends the replay, see replayFlowStep()
+      pendingClick.resolve(null);
+    }
+    if (benchmark && benchmark.resetting && !event.isTrusted) return;
+    if (!measuring || !config.inputTypes[input.type]) return;
+    if (isMonitorNode(getEventTarget(event))) return; // The overlay's controls
+    finishContinuous(); // A press ends a hover or scroll
 
     // --- This is the ONLY place state is reset now ---
-    stopMonitoring("new mousedown"); // Stop any previous monitoring just in case
+    stopMonitoring("new press"); // Stop any previous monitoring just in case
+    attachOverlay(); // In case the page removed it
     resetState(); // Reset state for the new measurement cycle
 
-    mousedownTimestamp = performance.now();
-    updateDisplayText("Mousedown... Watching..."); // Update text
+    pressInput = input;
+    pressTimestamp = performance.now();
+    pressEventTimestamp = event.timeStamp;
+    pressSynthetic = !event.isTrusted;
+    if (benchmark && pressSynthetic) {
+      pressBenchmarkRun = { id: benchmark.id, run: benchmark.run };
+    }
+    if (replayStep && pressSynthetic) pressReplayStep = replayStep;
+    pressId = `${FRAME_TOKEN}:${pressTimestamp}`;
+    const target = getEventTarget(event);
+    pressTargetSelector = getCssPath(target);
+    pressTargetPath = getCssPath(target, Infinity);
+    pressBudget = findBudget(target);
+    pressUrl = location.href;
+    if (input.type !== "keyboard")
+      pressPointerPosition = { ...lastPointerPosition };
+    if (target && input.type !== "keyboard") {
+      // Recorded flows click the same spot on replay
+      const rect = target.getBoundingClientRect();
+      pressOffset = {
+        x: Math.round(lastPointerPosition.x - rect.left),
+        y: Math.round(lastPointerPosition.y - rect.top),
+      };
+    }
+    if (IS_TOP_FRAME && config.pixelCapture) {
+      startPixelWatch(target);
+    } else {
+      finishPixelWatch(null);
+    }
+    reportPress();
+    armFrameworkHooks();
+    updateDisplayText(`${INPUT_LABELS[input.type].press}... Watching...`);
+
+    // Start the EARLY observer immediately
+    // console.log("Frames Monitor: Starting EARLY MutationObserver...");
+    earlyMutationObserver = new MutationObserver(handleEarlyMutation);
+    observeWithShadowRoots(earlyMutationObserver);
+  }
+
+  /**
+   * Ends the press phase. Starts the *main* observer if no early mutation was detected.
+   * Does NOT reset state.
+   * @param {Event} event - The pointerup, touchend or keyup event.
+   */
+  function endPress(event) {
+    if (isMonitorNode(getEventTarget(event))) return; // The overlay's controls
+    // If no press happened first (e.g., release without prior press in window)
+    // or if an early mutation already handled it, do nothing.
+    if (pressTimestamp === null) {
+      // Don't reset state here, just update display if needed
+      updateDisplayText("Click, tap or type to measure latency");
+      return;
+    }
+    if (mutationDetectedBeforeRelease) {
+      // console.log("Frames Monitor: Release ignored, early mutation already handled.");
+      // State was *not* reset by handleEarlyMutation, result persists.
+      return; // Do nothing, let the early result display
+    }
+
+    // Record release time if not already recorded for this cycle (a touch
+    // ends with both pointerup and touchend; the first one counts)
+    if (releaseTimestamp === null) {
+      // --- No early mutation detected, proceed with normal release logic ---
+
+      // Stop the early observer - it's no longer needed for this cycle
+      if (earlyMutationObserver) {
+        earlyMutationObserver.disconnect();
+        earlyMutationObserver = null;
+        // console.log("Frames Monitor: Stopped EARLY MutationObserver on release.");
+      }
+
+      releaseTimestamp = performance.now();
+      releaseEventTimestamp = event.timeStamp;
+      reportPress();
+      // console.log("Frames Monitor: Release recorded at", releaseTimestamp);
+      updateDisplayText(
+        `${INPUT_LABELS[pressInput.type].release}... Monitoring DOM...`,
+      ); // Standard message
+
+      // Delay starting the MAIN observer slightly
+      startMonitoringTimeoutId = setTimeout(startMainMonitoring, 0);
+    }
+  }
+
+  // --- Navigations ---
+
+  /**
+   * Labels the current interaction as having caused a history API navigation,
+   * if it happened soon enough after the press to be its result.
+   * @param {string} url - The new URL.
+   */
+  function handleSameDocumentNavigation(url) {
+    if (
+      pressTimestamp === null ||
+      performance.now() - pressTimestamp > config.navigationTimeoutMs
+    ) {
+      return;
+    }
+    pressNavigation = { type: "same-document", fromUrl: pressUrl, url };
+    if (currentResult) {
+      currentResult.navigation = pressNavigation;
+      refreshResult(currentResult);
+    }
+  }
+
+  /**
+   * Resolves with the first contentful paint of this document (buffered, so
+   * it may already have happened), or null if none comes within the timeout.
+   * @returns {Promise<number | null>}
+   */
+  function waitForFirstContentfulPaint() {
+    return new Promise((resolve) => {
+      if (
+        typeof PerformanceObserver === "undefined" ||
+        !(PerformanceObserver.supportedEntryTypes || []).includes("paint")
+      ) {
+        resolve(null);
+        return;
+      }
+      let settled = false;
+      const finish = (timestamp) => {
+        if (settled) return;
+        settled = true;
+        observer.disconnect();
+        resolve(timestamp);
+      };
+      const observer = new PerformanceObserver((list) => {
+        const entry = list
+          .getEntries()
+          .find((paint) => paint.name === "first-contentful-paint");
+        if (entry) finish(entry.startTime);
+      });
+      observer.observe({ type: "paint", buffered: true });
+      setTimeout(() => finish(null), config.timeoutMs);
+    });
+  }
+
+  /**
+   * Finishes a measurement started on the previous document, whose press led
+   * to this one. Press times are converted to this document's time origin, so
+   * they are negative.
+   * @param {{pressEpoch: number, releaseEpoch: number | null, inputType: string, inputDetail: string | null, targetSelector: string | null, url: string, transitionType: string}} pending
+   */
+  async function finishNavigationMeasurement(pending) {
+    pressInput = { type: pending.inputType, detail: pending.inputDetail };
+    pressTimestamp = pending.pressEpoch - performance.timeOrigin;
+    releaseTimestamp =
+      pending.releaseEpoch === null
+        ? null
+        : pending.releaseEpoch - performance.timeOrigin;
+    pressTargetSelector = pending.targetSelector;
+    pressUrl = pending.url;
+    pressSynthetic = Boolean(pending.synthetic);
+    pressBenchmarkRun = pending.benchmarkRun || null;
+    pressReplayStep = pending.replayStep || null;
+    const navigation = {
+      type: "cross-document",
+      fromUrl: pending.url,
+      url: location.href,
+      transitionType: pending.transitionType,
+    };
+    pressNavigation = navigation;
+
+    // init() runs at DOMContentLoaded at the latest, so domInteractive is set
+    const [navigationEntry] = performance.getEntriesByType("navigation");
+    const result = createResult(
+      "navigation",
+      navigationEntry ? navigationEntry.domInteractive : null,
+    );
+    currentResult = result;
+    refreshResult(result);
+
+    const firstContentfulPaint = await waitForFirstContentfulPaint();
+    if (currentResult !== result) return; // A new interaction started meanwhile
+    result.paintTimestamp = firstContentfulPaint;
+    refreshResult(result);
+  }
+
+  // --- Frames and Shadow Roots ---
+
+  /**
+   * Returns the element an event was dispatched to. Inside open shadow roots
+   * event.target is retargeted to the host; the composed path isn't.
+   * @param {Event} event
+   * @returns {Element | null}
+   */
+  function getEventTarget(event) {
+    const [target] = event.composedPath();
+    return toElement(target || event.target);
+  }
+
+  /**
+   * Like Element.closest(), but continues from the host of an open shadow root.
+   * @param {Element} element
+   * @param {string} selector
+   * @returns {Element | null}
+   */
+  function closestComposed(element, selector) {
+    let current = element;
+    while (current) {
+      const match = current.closest(selector);
+      if (match) return match;
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+    return null;
+  }
+
+  /**
+   * Like Node.contains(), but also looks inside open shadow roots.
+   * @param {Node} ancestor
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  function containsComposed(ancestor, node) {
+    let current = node;
+    while (current) {
+      if (ancestor.contains(current)) return true;
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+    return false;
+  }
+
+  /**
+   * Finds the open shadow roots in a subtree, including nested ones, that
+   * aren't known yet. New ones are remembered and watched for more roots.
+   * @param {Element | Document | ShadowRoot} root
+   * @returns {ShadowRoot[]}
+   */
+  function collectShadowRoots(root) {
+    const found = [];
+    const visit = (element) => {
+      const shadowRoot = element.shadowRoot;
+      if (!shadowRoot || shadowRoots.has(shadowRoot)) return;
+      shadowRoots.add(shadowRoot);
+      found.push(shadowRoot);
+      if (shadowRootObserver) {
+        shadowRootObserver.observe(shadowRoot, {
+          childList: true,
+          subtree: true,
+        });
+      }
+      shadowRoot.querySelectorAll("*").forEach(visit);
+    };
+    if (root.nodeType === Node.ELEMENT_NODE) visit(root);
+    root.querySelectorAll("*").forEach(visit);
+    return found;
+  }
+
+  /**
+   * Adds the shadow roots inside the observed root to a MutationObserver.
+   * Observers don't see into shadow DOM, so each root is observed itself.
+   * @param {MutationObserver} observer
+   * @param {ShadowRoot[]} roots
+   * @param {MutationObserverInit} [options]
+   */
+  function observeShadowRoots(observer, roots, options = getObserverOptions()) {
+    const observedRoot = getObservedRoot();
+    for (const root of roots) {
+      if (containsComposed(observedRoot, root.host)) {
+        observer.observe(root, options);
+      }
+    }
+  }
+
+  /**
+   * Starts a measurement observer on the observed root and its shadow roots.
+   * @param {MutationObserver} observer
+   * @param {MutationObserverInit} [options] - Defaults to the configured
+   *   mutation types.
+   */
+  function observeWithShadowRoots(observer, options = getObserverOptions()) {
+    observer.observe(getObservedRoot(), options);
+    observeShadowRoots(observer, [...shadowRoots], options);
+  }
+
+  /**
+   * Adds newly found shadow roots to the observers of a running measurement.
+   * @param {ShadowRoot[]} roots
+   */
+  function handleNewShadowRoots(roots) {
+    for (const observer of [
+      earlyMutationObserver,
+      mutationObserver,
+      settleObserver,
+      remoteMutationObserver,
+    ]) {
+      if (observer) observeShadowRoots(observer, roots);
+    }
+  }
+
+  /**
+   * Callback for the shadow root observer: looks for hosts among added nodes.
+   * @param {MutationRecord[]} mutationsList
+   */
+  function handleShadowRootDiscovery(mutationsList) {
+    const found = [];
+    for (const mutation of mutationsList) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE || isMonitorNode(node)) {
+          continue;
+        }
+        found.push(...collectShadowRoots(node));
+      }
+    }
+    if (found.length) handleNewShadowRoots(found);
+  }
+
+  /**
+   * Rescans the whole document for shadow roots. Custom elements often
+   * attach their root when they are upgraded, after being added, which the
+   * shadow root observer doesn't see. Runs when the page is idle.
+   */
+  function scheduleShadowRootScan() {
+    const scan = () => {
+      for (const root of shadowRoots) {
+        if (!root.host.isConnected) shadowRoots.delete(root);
+      }
+      handleNewShadowRoots(collectShadowRoots(document));
+    };
+    if (typeof requestIdleCallback === "function") {
+      requestIdleCallback(scan, { timeout: 1000 });
+    } else {
+      setTimeout(scan, 0);
+    }
+  }
+
+  /**
+   * Starts watching this frame's DOM for a press in another frame, e.g. a
+   * click in a payment iframe that updates the checkout page. A press
+   * elsewhere also ends any measurement running in this frame.
+   * @param {{id: string, frameToken: string}} press - As sent by reportPress().
+   */
+  function handleFramePress(press) {
+    if (press.frameToken === FRAME_TOKEN) return; // Our own press
+    if (!remotePress || remotePress.id !== press.id) {
+      stopMonitoring("press in another frame");
+      stopRemoteWatch();
+      finishPixelWatch(null);
+      remotePress = {
+        id: press.id,
+        reported: false,
+        watchingPixels: press.watchingPixels,
+      };
+    }
+    if (remotePress.reported) return;
+    // Reported again on release: keep watching for a timeout after it
+    if (!remoteMutationObserver) {
+      remoteMutationObserver = new MutationObserver(handleRemoteMutation);
+      observeWithShadowRoots(remoteMutationObserver);
+    }
+    clearTimeout(remoteTimeoutId);
+    remoteTimeoutId = setTimeout(stopRemoteWatch, config.timeoutMs);
+  }
+
+  /**
+   * Stops watching for a press in another frame.
+   */
+  function stopRemoteWatch() {
+    if (remoteMutationObserver) {
+      remoteMutationObserver.disconnect();
+      remoteMutationObserver = null;
+    }
+    clearTimeout(remoteTimeoutId);
+    remoteTimeoutId = null;
+  }
+
+  /**
+   * Callback for the observer watching on behalf of another frame. Reports
+   * the change right away and again with paint timing once the frame is
+   * produced. Times are absolute, as each frame has its own time origin.
+   * @param {MutationRecord[]} mutationsList
+   */
+  function handleRemoteMutation(mutationsList) {
+    const mutationEpoch = performance.timeOrigin + performance.now();
+    const relevantMutations = mutationsList.filter(isRelevantMutation);
+    if (!relevantMutations.length) return;
+
+    remotePress.reported = true;
+    stopRemoteWatch();
+    const report = {
+      pressId: remotePress.id,
+      frameUrl: location.href,
+      mutationEpoch,
+      rafEpoch: null,
+      paintEpoch: null,
+      mutationCount: relevantMutations.length,
+      mutations: relevantMutations
+        .slice(0, MAX_RECORDED_MUTATIONS)
+        .map(describeMutation),
+    };
+    sendToBackground({ type: "frame-mutation", report });
+    // The top frame is comparing the screen; an outline would count
+    if (
+      config.highlightChanges &&
+      !config.overlayHidden &&
+      !remotePress.watchingPixels
+    ) {
+      showHighlight(getChangedElement(relevantMutations[0]));
+    }
+    scheduleShadowRootScan();
+    if (!config.paintTiming) return;
+    waitForNextPaint(({ rafTimestamp, paintTimestamp }) => {
+      sendToBackground({
+        type: "frame-mutation",
+        report: {
+          ...report,
+          rafEpoch: performance.timeOrigin + rafTimestamp,
+          paintEpoch: performance.timeOrigin + paintTimestamp,
+        },
+      });
+    });
+  }
+
+  /**
+   * Handles a change another frame detected for this frame's press. The
+   * earliest change in any frame wins, so it can replace a result this frame
+   * found itself (or its timeout) if it happened first.
+   * @param {{pressId: string, frameUrl: string, mutationEpoch: number, rafEpoch: number | null, paintEpoch: number | null, mutationCount: number, mutations: object[]}} report
+   */
+  function handleFrameMutation(report) {
+    if (pressId === null || report.pressId !== pressId) return;
+    const toLocal = (epoch) =>
+      epoch === null ? null : epoch - performance.timeOrigin;
+    const mutationTimestamp = toLocal(report.mutationEpoch);
+
+    if (
+      currentResult &&
+      currentResult.mutationFrameUrl === report.frameUrl &&
+      currentResult.mutationTimestamp === mutationTimestamp
+    ) {
+      // Paint timing for the change already shown
+      currentResult.rafTimestamp = toLocal(report.rafEpoch);
+      currentResult.paintTimestamp = toLocal(report.paintEpoch);
+      refreshResult(currentResult);
+      return;
+    }
+    if (currentResult && currentResult.mutationTimestamp <= mutationTimestamp) {
+      return;
+    }
+    if (
+      releaseTimestamp !== null &&
+      mutationTimestamp - releaseTimestamp > config.timeoutMs
+    ) {
+      return;
+    }
+
+    const preRelease =
+      releaseTimestamp === null || mutationTimestamp < releaseTimestamp;
+    stopMonitoring("mutation detected in another frame");
+    mutationDetectedBeforeRelease = preRelease;
+    const result = createResult(
+      preRelease ? "pre-release" : "post-release",
+      mutationTimestamp,
+    );
+    // Keep the id of the record this replaces
+    const replaced =
+      currentResult ||
+      history.find(
+        (entry) => entry.timedOut && entry.pressTimestamp === pressTimestamp,
+      );
+    if (replaced) result.id = replaced.id;
+    result.mutationFrameUrl = report.frameUrl;
+    result.mutationCount = report.mutationCount;
+    result.totalMutationCount = report.mutationCount;
+    result.mutations = report.mutations;
+    result.rafTimestamp = toLocal(report.rafEpoch);
+    result.paintTimestamp = toLocal(report.paintEpoch);
+    currentResult = result;
+    // Later changes are counted in this frame only
+    startSettling(result);
+    refreshResult(result);
+    if (config.paintTiming) applyEventTimingEntries(result);
+  }
+
+  /**
+   * Shows overlay text sent by a subframe (top frame only). The pointer
+   * position is relative to that frame; the iframe focused by the click or
+   * key press gives its offset. For nested iframes only the outermost one's
+   * offset is known, so the overlay lands near the pointer rather than at it.
+   * @param {string} text
+   * @param {{x: number, y: number}} position
+   * @param {boolean} overBudget
+   * @param {string | null} summary
+   */
+  function showFrameOverlay(text, position, overBudget, summary) {
+    let frame = document.activeElement;
+    while (frame && frame.shadowRoot && frame.shadowRoot.activeElement) {
+      frame = frame.shadowRoot.activeElement;
+    }
+    if (
+      frame &&
+      (frame.localName === "iframe" || frame.localName === "frame")
+    ) {
+      const rect = frame.getBoundingClientRect();
+      setPointerPosition(
+        rect.left + frame.clientLeft + position.x,
+        rect.top + frame.clientTop + position.y,
+      );
+    }
+    updateDisplayText(text, overBudget, summary);
+  }
+
+  // --- Continuous Interactions ---
+  // Drags, scrolls and hovers are measured per input event rather than per
+  // press: each pointermove of a drag until an element moves, each wheel or
+  // scroll event until the content changes, entering an element until a
+  // tooltip or menu appears. Every gesture becomes one measurement with the
+  // distribution of its event latencies and how many frames the page lagged
+  // behind the input. Turned on per kind in the options.
+
+  /**
+   * Whether a press is still waiting for its change, which hovers and
+   * scrolls shouldn't be confused with.
+   * @returns {boolean}
+   */
+  function isMeasuringPress() {
+    return Boolean(
+      earlyMutationObserver ||
+      mutationObserver ||
+      startMonitoringTimeoutId ||
+      timeoutId,
+    );
+  }
+
+  /**
+   * Starts measuring a gesture, ending the one before.
+   * @param {"drag" | "scroll" | "hover"} kind - Key of CONTINUOUS_LABELS.
+   * @param {string} inputType - The pointer type, or "wheel" / "scroll".
+   * @param {Element | null} target
+   * @returns {object} - The gesture.
+   */
+  function startContinuous(kind, inputType, target) {
+    finishContinuous();
+    const observer = new MutationObserver(handleContinuousMutation);
+    continuous = {
+      kind,
+      inputType,
+      target,
+      targetSelector: getCssPath(target),
+      targetPath: getCssPath(target, Infinity),
+      pointerId: null,
+      startTimestamp: performance.now(),
+      endTimestamp: null,
+      eventCount: 0,
+      updatedCount: 0,
+      pending: [], // event.timeStamp of the events waiting for an update
+      latencies: [],
+      observer,
+      idleTimeoutId: null,
+    };
+    if (kind === "drag") {
+      // Only a moved element answers a pointermove
+      observeWithShadowRoots(observer, {
+        subtree: true,
+        attributes: true,
+        attributeFilter: DRAG_ATTRIBUTES,
+      });
+    } else {
+      observeWithShadowRoots(observer);
+    }
+    return continuous;
+  }
+
+  /**
+   * Counts an input event of the current gesture; the next update answers
+   * it along with the other events waiting.
+   * @param {number} timestamp - event.timeStamp, when the input happened.
+   * @param {number | null} [idleMs] - Ends the gesture after this long
+   *   without another event.
+   */
+  function addContinuousEvent(timestamp, idleMs = null) {
+    continuous.eventCount++;
+    continuous.pending.push(timestamp);
+    if (continuous.pending.length > MAX_PENDING_EVENTS) {
+      continuous.pending.shift();
+    }
+    if (idleMs !== null) extendContinuous(idleMs);
+  }
+
+  /**
+   * Restarts the time after which the current gesture ends.
+   * @param {number} idleMs
+   */
+  function extendContinuous(idleMs) {
+    clearTimeout(continuous.idleTimeoutId);
+    continuous.idleTimeoutId = setTimeout(finishContinuous, idleMs);
+  }
+
+  /**
+   * Callback for the gesture's observer: the change answers every input
+   * event since the last one. A hover ends with its first change.
+   * @param {MutationRecord[]} mutationsList
+   */
+  function handleContinuousMutation(mutationsList) {
+    const mutationTimestamp = performance.now();
+    if (!continuous || !continuous.pending.length) return;
+    if (!mutationsList.some(isRelevantMutation)) return;
+    for (const timestamp of continuous.pending) {
+      if (continuous.latencies.length < MAX_RECORDED_EVENT_LATENCIES) {
+        continuous.latencies.push(mutationTimestamp - timestamp);
+      }
+    }
+    continuous.updatedCount += continuous.pending.length;
+    continuous.pending = [];
+    continuous.endTimestamp = mutationTimestamp;
+    if (continuous.kind === "hover") finishContinuous();
+  }
 
-    // Start the EARLY observer immediately
-    // console.log("Frames Monitor: Starting EARLY MutationObserver...");
-    earlyMutationObserver = new MutationObserver(handleEarlyMutation);
-    earlyMutationObserver.observe(document.documentElement, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      characterData: true,
+  /**
+   * Turns the current press into a drag once the pointer moved far enough.
+   * A change the press caused before that stays its click result; otherwise
+   * the press has none.
+   * @param {PointerEvent} event - The pointermove that started the drag.
+   */
+  function startDrag(event) {
+    stopMonitoring("drag started");
+    pressDragged = true;
+    const gesture = startContinuous("drag", pressInput.type, null);
+    gesture.targetSelector = pressTargetSelector;
+    gesture.targetPath = pressTargetPath;
+    gesture.pointerId = pressInput.pointerId;
+    addContinuousEvent(event.timeStamp);
+    updateDisplayText("Drag... Measuring each move...");
+  }
+
+  /**
+   * Ends the drag of the current press, if it is still measured.
+   */
+  function endDrag() {
+    if (continuous && continuous.kind === "drag") finishContinuous();
+  }
+
+  /**
+   * Ends the current gesture and records it. Scrolls and hovers that
+   * changed nothing (most of them) are dropped; a drag that moved nothing is
+   * kept, as its board is probably broken.
+   */
+  function finishContinuous() {
+    if (!continuous) return;
+    const gesture = continuous;
+    continuous = null;
+    gesture.observer.disconnect();
+    clearTimeout(gesture.idleTimeoutId);
+    if (!gesture.latencies.length && gesture.kind !== "drag") return;
+    if (gesture.endTimestamp === null) gesture.endTimestamp = performance.now();
+    const measurement = toContinuousMeasurement(gesture);
+    addToHistory(measurement);
+    sendToBackground({ type: "measurement", measurement });
+    updateDisplayText(
+      formatContinuousLines(measurement).join("\n"),
+      false,
+      measurement.eventLatencyMedianMs === null
+        ? null
+        : `${CONTINUOUS_LABELS[measurement.interaction].name} med ${formatLatency(measurement.eventLatencyMedianMs)}`,
+    );
+  }
+
+  /**
+   * Converts a gesture into the record kept in the history and storage.
+   * Click fields like latencyMs stay null, so click stats leave it out.
+   * @param {object} gesture
+   * @returns {object}
+   */
+  function toContinuousMeasurement(gesture) {
+    const sorted = [...gesture.latencies].sort((a, b) => a - b);
+    const hz = getRefreshRates()[0];
+    const framesBehind = sorted.map((latency) => calculateFrames(latency, hz));
+    return {
+      id: `${Date.now().toString(36)}-${++measurementCounter}`,
+      recordedAt: Date.now(),
+      url: location.href,
+      timeOrigin: performance.timeOrigin,
+      interaction: gesture.kind,
+      targetSelector: gesture.targetSelector,
+      targetPath: gesture.targetPath,
+      topFrame: IS_TOP_FRAME,
+      inputType: gesture.inputType,
+      inputDetail: null,
+      synthetic: false,
+      siteRule: config.siteRule ? config.siteRule.name : null,
+      deviceProfile: config.simulatedDevice
+        ? config.simulatedDevice.name
+        : null,
+      cpuThrottlingRate: config.simulatedDevice
+        ? config.simulatedDevice.cpuThrottlingRate
+        : 1,
+      phase: gesture.kind,
+      timedOut: false,
+      pressTimestamp: gesture.startTimestamp,
+      endTimestamp: gesture.endTimestamp,
+      latencyMs: null,
+      eventCount: gesture.eventCount,
+      updatedEventCount: gesture.updatedCount,
+      eventLatencies: sampleLatencies(sorted),
+      eventLatencyMedianMs: percentile(sorted, 50),
+      eventLatencyP95Ms: percentile(sorted, 95),
+      eventLatencyMaxMs: sorted.length ? sorted[sorted.length - 1] : null,
+      framesBehindHz: hz,
+      framesBehindMedian: percentile(framesBehind, 50),
+      framesBehindP95: percentile(framesBehind, 95),
+      refreshRates: getRefreshRates(),
+    };
+  }
+
+  /**
+   * Builds the overlay lines for a finished gesture.
+   * @param {object} measurement - As returned by toContinuousMeasurement().
+   * @returns {string[]}
+   */
+  function formatContinuousLines(measurement) {
+    const labels = CONTINUOUS_LABELS[measurement.interaction];
+    const target = `on ${measurement.targetSelector || "(unknown)"}`;
+    if (measurement.eventLatencyMedianMs === null) {
+      return [
+        `${labels.name}: ${measurement.eventCount} ${labels.events}, nothing moved`,
+        target,
+      ];
+    }
+    const heading = `${labels.name} → ${labels.update}`;
+    if (measurement.interaction === "hover") {
+      return [
+        `${heading}: ${formatLatency(measurement.eventLatencyMedianMs)}`,
+        target,
+      ];
+    }
+    const stat = (ms) => `${ms.toFixed(1)} ms`;
+    return [
+      `${heading}: med ${stat(measurement.eventLatencyMedianMs)}  p95 ${stat(measurement.eventLatencyP95Ms)}  max ${stat(measurement.eventLatencyMaxMs)}`,
+      ` ${measurement.framesBehindMedian}f behind the ${labels.lead} (p95 ${measurement.framesBehindP95}f at ${measurement.framesBehindHz} Hz)`,
+      ` ${measurement.updatedEventCount} of ${measurement.eventCount} ${labels.events} followed by a change`,
+      target,
+    ];
+  }
+
+  /**
+   * Builds the history panel lines for one kind of gesture: the latencies
+   * of all their events together.
+   * @param {string} kind - Key of CONTINUOUS_LABELS.
+   * @param {object[]} measurements
+   * @returns {string[]}
+   */
+  function formatContinuousStats(kind, measurements) {
+    const gestures = measurements.filter((entry) => entry.interaction === kind);
+    const latencies = gestures
+      .flatMap((entry) => entry.eventLatencies)
+      .sort((a, b) => a - b);
+    if (!latencies.length) return [];
+    const hz = getRefreshRates()[0];
+    const stat = (value) => value.toFixed(1);
+    return [
+      `${CONTINUOUS_LABELS[kind].name}: ${gestures.length} gesture${gestures.length === 1 ? "" : "s"}, ${latencies.length} events`,
+      ` med ${stat(percentile(latencies, 50))}  p95 ${stat(percentile(latencies, 95))} ms, ${calculateFrames(percentile(latencies, 50), hz)}f behind at ${hz} Hz`,
+    ];
+  }
+
+  // --- Event Handlers ---
+
+  /**
+   * Remembers where the overlay should follow (cursor mode).
+   * @param {number} x - Viewport x coordinate.
+   * @param {number} y - Viewport y coordinate.
+   */
+  function setPointerPosition(x, y) {
+    lastPointerPosition.x = x;
+    lastPointerPosition.y = y;
+    if (config.overlayPosition !== "cursor") return;
+    if (displayElement && displayElement.style.visibility === "visible") {
+      updateDisplayPosition();
+    }
+  }
+
+  /**
+   * Handles pointerdown for mouse (primary button), pen and touch.
+   * @param {PointerEvent} event
+   */
+  function onPointerDown(event) {
+    if (!event.isPrimary || event.button !== 0) return;
+    setPointerPosition(event.clientX, event.clientY);
+    const type = INPUT_LABELS[event.pointerType] ? event.pointerType : "mouse";
+    startPress(event, { type, detail: null, pointerId: event.pointerId });
+  }
+
+  /**
+   * Handles pointerup for the pointer that started the press.
+   * @param {PointerEvent} event
+   */
+  function onPointerUp(event) {
+    if (!event.isPrimary || event.button !== 0) return;
+    if (pressInput && pressInput.pointerId !== event.pointerId) return;
+    if (pressDragged) {
+      endDrag();
+      return;
+    }
+    endPress(event);
+  }
+
+  /**
+   * Handles touchstart. Chrome fires pointerdown first for the same touch, so
+   * this only starts a press when pointer events didn't already.
+   * @param {TouchEvent} event
+   */
+  function onTouchStart(event) {
+    if (event.touches.length !== 1) return;
+    if (
+      pressInput &&
+      pressInput.type === "touch" &&
+      releaseTimestamp === null
+    ) {
+      return;
+    }
+    const touch = event.changedTouches[0];
+    setPointerPosition(touch.clientX, touch.clientY);
+    startPress(event, { type: "touch", detail: null });
+  }
+
+  /**
+   * Handles touchend. Also ends touches whose pointerup never came because
+   * the browser took over the gesture (pointercancel).
+   * @param {TouchEvent} event
+   */
+  function onTouchEnd(event) {
+    if (!pressInput || pressInput.type !== "touch") return;
+    if (pressDragged) {
+      endDrag();
+      return;
+    }
+    endPress(event);
+  }
+
+  /**
+   * Handles keydown. Auto-repeats and lone modifier keys are not interactions.
+   * @param {KeyboardEvent} event
+   */
+  function onKeyDown(event) {
+    if (event.repeat || MODIFIER_KEYS.includes(event.key)) return;
+    // Show the overlay under the focused element rather than the old cursor spot
+    const target = getEventTarget(event);
+    if (
+      target &&
+      target !== document.body &&
+      target !== document.documentElement
+    ) {
+      const rect = target.getBoundingClientRect();
+      setPointerPosition(rect.left, rect.bottom);
+    }
+    startPress(event, {
+      type: "keyboard",
+      detail: event.key,
+      code: event.code,
     });
+    if (pressTimestamp !== null && isTextField(target)) {
+      pressValue = { element: target, value: target.value };
+    }
   }
 
   /**
-   * Handles the mouseup event. Starts the *main* observer if no early mutation was detected.
-   * Does NOT reset state.
-   * @param {MouseEvent} event
+   * Handles input: the value of the text field a key was pressed in changed.
+   * @param {InputEvent} event
    */
-  function onMouseUp(event) {
-    if (event.button !== 0) return;
+  function onInput(event) {
+    if (!pressValue || getEventTarget(event) !== pressValue.element) return;
+    // A change in the DOM came first, or the press timed out
+    if (currentResult || timeoutResult) return;
+    handleValueChange(pressValue.element);
+  }
 
-    // If mousedown didn't happen first (e.g., mouseup without prior mousedown in window)
-    // or if an early mutation already handled it, do nothing.
-    if (mousedownTimestamp === null) {
-      // Don't reset state here, just update display if needed
-      updateDisplayText("Click to measure latency");
+  /**
+   * Handles keyup for the key that started the press.
+   * @param {KeyboardEvent} event
+   */
+  function onKeyUp(event) {
+    if (!pressInput || pressInput.type !== "keyboard") return;
+    if (pressInput.code !== event.code) return;
+    endPress(event);
+  }
+
+  /**
+   * Tracks the pointer position to place the display element, turns a
+   * press into a drag once the pointer travels and counts the drag's moves.
+   * @param {PointerEvent} event
+   */
+  function onPointerMove(event) {
+    setPointerPosition(event.clientX, event.clientY);
+    if (continuous && continuous.kind === "drag") {
+      if (event.pointerId === continuous.pointerId) {
+        addContinuousEvent(event.timeStamp);
+      }
       return;
     }
-    if (mutationDetectedBeforeMouseup) {
-      // console.log("Frames Monitor: Mouseup ignored, early mutation already handled.");
-      // State was *not* reset by handleEarlyMutation, result persists.
-      return; // Do nothing, let the early result display
+    if (
+      config.continuousModes.drag &&
+      pressPointerPosition &&
+      releaseTimestamp === null &&
+      !pressDragged &&
+      pressInput.pointerId === event.pointerId &&
+      Math.hypot(
+        event.clientX - pressPointerPosition.x,
+        event.clientY - pressPointerPosition.y,
+      ) >= DRAG_THRESHOLD_PX
+    ) {
+      startDrag(event);
     }
+  }
 
-    // --- No early mutation detected, proceed with normal mouseup logic ---
+  /**
+   * Ends a drag whose pointer the browser took over, e.g. to scroll.
+   * @param {PointerEvent} event
+   */
+  function onPointerCancel(event) {
+    if (pressDragged && pressInput.pointerId === event.pointerId) endDrag();
+  }
 
-    // Stop the early observer - it's no longer needed for this cycle
-    if (earlyMutationObserver) {
-      earlyMutationObserver.disconnect();
-      earlyMutationObserver = null;
-      // console.log("Frames Monitor: Stopped EARLY MutationObserver on mouseup.");
+  /**
+   * Handles wheel events: each one waits for the next content change.
+   * @param {WheelEvent} event
+   */
+  function onWheel(event) {
+    if (!config.continuousModes.scroll || !measuring) return;
+    if (continuous && continuous.kind === "drag") return;
+    if (
+      !continuous ||
+      continuous.kind !== "scroll" ||
+      continuous.inputType !== "wheel"
+    ) {
+      startContinuous("scroll", "wheel", getEventTarget(event));
     }
+    addContinuousEvent(event.timeStamp, SCROLL_IDLE_MS);
+  }
 
-    // Record mouseup time if not already recorded for this cycle
-    if (mouseupTimestamp === null) {
-      mouseupTimestamp = performance.now();
-      // console.log("Frames Monitor: Mouseup recorded at", mouseupTimestamp);
-      updateDisplayText("Mouseup... Monitoring DOM..."); // Standard message
+  /**
+   * Handles scrolling by scrollbar, keys or touch, which has no wheel
+   * events. During a wheel gesture scroll events only keep it going, e.g.
+   * through momentum scrolling.
+   * @param {Event} event
+   */
+  function onScroll(event) {
+    if (!config.continuousModes.scroll || !measuring) return;
+    if (continuous && continuous.kind === "drag") return;
+    if (continuous && continuous.kind === "scroll") {
+      if (continuous.inputType === "wheel") {
+        extendContinuous(SCROLL_IDLE_MS);
+        return;
+      }
+    } else {
+      if (isMeasuringPress()) return; // Scrolled by a key press or a click's handler
+      startContinuous(
+        "scroll",
+        "scroll",
+        event.target instanceof Element
+          ? event.target
+          : document.documentElement,
+      );
+    }
+    addContinuousEvent(event.timeStamp, SCROLL_IDLE_MS);
+  }
 
-      // Delay starting the MAIN observer slightly
-      startMonitoringTimeoutId = setTimeout(startMainMonitoring, 0);
+  /**
+   * Handles the mouse entering an element: a hover waits for the tooltip or
+   * menu it opens. Moving within the hovered element, or back out to its
+   * container, is still the same hover.
+   * @param {PointerEvent} event
+   */
+  function onPointerOver(event) {
+    if (!config.continuousModes.hover || !measuring) return;
+    if (event.pointerType !== "mouse" || event.buttons !== 0) return;
+    const target = getEventTarget(event);
+    if (!target || isMonitorNode(target)) return;
+    if (continuous) {
+      if (continuous.kind !== "hover") return;
+      if (
+        containsComposed(continuous.target, target) ||
+        containsComposed(target, continuous.target)
+      ) {
+        return;
+      }
     }
+    if (isMeasuringPress()) return;
+    startContinuous("hover", "mouse", target);
+    addContinuousEvent(event.timeStamp, config.timeoutMs);
   }
 
+  // --- Synthetic Clicks ---
+  // Benchmarks and flow replays click with events dispatched by this script.
+  // Each click is measured like a real one (press → mutation) and tagged
+  // synthetic, so it can't be mistaken for real input.
+
   /**
-   * Tracks the mouse position to place the display element.
-   * @param {MouseEvent} event
+   * Resolves after the given time.
+   * @param {number} ms
+   * @returns {Promise<void>}
    */
-  function onMouseMove(event) {
-    lastMousePosition.x = event.clientX;
-    lastMousePosition.y = event.clientY;
-    if (displayElement && displayElement.style.visibility === "visible") {
-      updateDisplayPosition();
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Clicks the middle of an element with synthetic pointer and mouse events:
+   * pointerdown and mousedown, then pointerup, mouseup and click after
+   * BENCHMARK_HOLD_MS, the order the browser uses for a real click.
+   * @param {Element} element
+   * @param {{x: number, y: number} | null} [offset] - Where to click, from the
+   *   element's top-left corner (kept inside it). Defaults to the middle.
+   * @returns {Promise<void>}
+   */
+  async function dispatchSyntheticClick(element, offset = null) {
+    element.scrollIntoView({ block: "nearest", inline: "nearest" });
+    const rect = element.getBoundingClientRect();
+    const inside = (value, size) => Math.min(Math.max(value, 0), size);
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX:
+        rect.left + (offset ? inside(offset.x, rect.width) : rect.width / 2),
+      clientY:
+        rect.top + (offset ? inside(offset.y, rect.height) : rect.height / 2),
+      button: 0,
+      pointerId: 1,
+      pointerType: "mouse",
+      isPrimary: true,
+    };
+    element.dispatchEvent(
+      new PointerEvent("pointerdown", { ...init, buttons: 1 }),
+    );
+    element.dispatchEvent(new MouseEvent("mousedown", { ...init, buttons: 1 }));
+    await delay(BENCHMARK_HOLD_MS);
+    element.dispatchEvent(
+      new PointerEvent("pointerup", { ...init, buttons: 0 }),
+    );
+    element.dispatchEvent(new MouseEvent("mouseup", { ...init, buttons: 0 }));
+    element.dispatchEvent(
+      new MouseEvent("click", { ...init, buttons: 0, detail: 1 }),
+    );
+  }
+
+  /**
+   * Presses and releases Escape on the focused element with synthetic events.
+   */
+  function dispatchSyntheticEscape() {
+    const target = document.activeElement || document.body;
+    const init = {
+      key: "Escape",
+      code: "Escape",
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+    };
+    target.dispatchEvent(new KeyboardEvent("keydown", init));
+    target.dispatchEvent(new KeyboardEvent("keyup", init));
+  }
+
+  /**
+   * Whether nothing more will be added to a measurement: it timed out, or
+   * the DOM settled or gave up settling.
+   * @param {object} measurement
+   * @returns {boolean}
+   */
+  function isFinalMeasurement(measurement) {
+    return (
+      measurement.timedOut ||
+      (measurement.settleState !== null &&
+        measurement.settleState !== "settling")
+    );
+  }
+
+  /**
+   * Passes a final measurement to the synthetic click waiting for it.
+   * @param {object} measurement
+   */
+  function handleSyntheticMeasurement(measurement) {
+    if (!pendingClick || !pendingClick.isFor(measurement)) return;
+    if (isFinalMeasurement(measurement)) pendingClick.resolve(measurement);
+  }
+
+  /**
+   * Clicks an element once with synthetic events and waits for the final
+   * measurement of that click. Resolves to null if none arrives in time, or
+   * when the wait is cancelled through pendingClick.resolve(null).
+   * @param {Element} target
+   * @param {(measurement: object) => boolean} isFor - Recognizes the click's measurement.
+   * @param {{x: number, y: number} | null} [offset] - See dispatchSyntheticClick().
+   * @returns {Promise<object | null>}
+   */
+  function clickAndMeasure(target, isFor, offset = null) {
+    const result = new Promise((resolve) => {
+      const timer = setTimeout(
+        () => pendingClick.resolve(null),
+        config.timeoutMs + config.settleMaxMs + BENCHMARK_RESULT_PADDING_MS,
+      );
+      pendingClick = {
+        isFor,
+        resolve: (measurement) => {
+          clearTimeout(timer);
+          pendingClick = null;
+          resolve(measurement);
+        },
+      };
+    });
+    dispatchSyntheticClick(target, offset);
+    return result;
+  }
+
+  // --- Benchmark ---
+  // Clicks one element many times and reports the distribution.
+
+  /**
+   * Lets the user choose an element: outlines whatever is under the pointer
+   * and resolves to the element clicked, or null on Escape. The events of the
+   * pick itself never reach the page or the monitor.
+   * @param {string} prompt - Shown in the overlay while picking.
+   * @returns {Promise<Element | null>}
+   */
+  function pickElement(prompt) {
+    if (picker) picker.finish(null);
+    updateDisplayText(`${prompt}\n(Esc to cancel)`);
+
+    const highlight = document.createElement("div");
+    highlight.className = "outline picker";
+    if (overlayElement) overlayElement.append(highlight);
+
+    const elementAt = (event) => {
+      const element = getEventTarget(event);
+      return element && !isMonitorNode(element) ? element : null;
+    };
+    const onMove = (event) => {
+      const element = elementAt(event);
+      if (!element) return;
+      const rect = element.getBoundingClientRect();
+      highlight.style.display = "block";
+      highlight.style.left = `${rect.left - 2}px`;
+      highlight.style.top = `${rect.top - 2}px`;
+      highlight.style.width = `${rect.width}px`;
+      highlight.style.height = `${rect.height}px`;
+    };
+    // Keep the page and the monitor's own listeners from seeing the pick.
+    // Touch events aren't cancelled, or no click would follow.
+    const swallow = (event) => {
+      if (!event.type.startsWith("touch")) event.preventDefault();
+      event.stopImmediatePropagation();
+    };
+    const onClick = (event) => {
+      swallow(event);
+      const element = elementAt(event);
+      if (element) finish(element);
+    };
+    const onKeyDown = (event) => {
+      if (event.key !== "Escape") return;
+      swallow(event);
+      finish(null);
+    };
+    const swallowedEvents = [
+      "pointerdown",
+      "pointerup",
+      "mousedown",
+      "mouseup",
+      "touchstart",
+      "touchend",
+    ];
+
+    let finish;
+    const picked = new Promise((resolve) => {
+      finish = (element) => {
+        window.removeEventListener("pointermove", onMove, true);
+        window.removeEventListener("click", onClick, true);
+        window.removeEventListener("keydown", onKeyDown, true);
+        for (const type of swallowedEvents) {
+          window.removeEventListener(type, swallow, true);
+        }
+        highlight.remove();
+        picker = null;
+        resolve(element);
+      };
+    });
+    window.addEventListener("pointermove", onMove, true);
+    window.addEventListener("click", onClick, true);
+    window.addEventListener("keydown", onKeyDown, true);
+    for (const type of swallowedEvents) {
+      window.addEventListener(type, swallow, true);
+    }
+    picker = { finish };
+    return picked;
+  }
+
+  /**
+   * Undoes a benchmark click before the next one, e.g. closes the menu it
+   * opened. The reset's own events are not measured.
+   * @param {Element | null} resetTarget - Clicked for the "click" reset.
+   * @returns {Promise<void>}
+   */
+  async function resetBenchmarkClick(resetTarget) {
+    benchmark.resetting = true;
+    try {
+      if (benchmark.reset === "escape") {
+        dispatchSyntheticEscape();
+      } else if (benchmark.reset === "click" && resetTarget.isConnected) {
+        await dispatchSyntheticClick(resetTarget);
+      }
+    } finally {
+      benchmark.resetting = false;
+    }
+  }
+
+  /**
+   * Stops the running benchmark after the current click.
+   * @param {string} reason - Shown with the results.
+   */
+  function stopBenchmark(reason) {
+    if (!benchmark || benchmark.stopReason) return;
+    benchmark.stopReason = reason;
+    if (pendingClick) pendingClick.resolve(null);
+  }
+
+  /**
+   * Formats the results of a benchmark, with the limits of synthetic events.
+   * @param {object} run - The finished benchmark.
+   * @returns {string}
+   */
+  function formatBenchmarkResults(run) {
+    const reset = {
+      none: "none",
+      escape: "Escape key",
+      click: `click ${run.resetSelector}`,
+    }[run.reset];
+    const lines = [
+      `Benchmark: ${run.targetSelector}`,
+      `${run.measurements.length} of ${run.runs} clicks, ${run.gapMs} ms apart, reset: ${reset}`,
+    ];
+    if (run.stopReason) lines.push(run.stopReason);
+    if (run.missing) lines.push(`${run.missing} clicks gave no result`);
+    lines.push(...formatLatencyStats("Synthetic clicks", run.measurements));
+    lines.push(
+      "Synthetic events (isTrusted: false) skip the OS, compositor and",
+      "input queue, hit testing, default actions such as focus, and the",
+      "Event Timing API; pages that check isTrusted may ignore them.",
+      "Compare benchmark runs with each other, not with real clicks.",
+    );
+    return lines.join("\n");
+  }
+
+  /**
+   * Runs a benchmark: lets the user pick the element to click (and the one
+   * that resets the page, for the "click" reset), then clicks it `runs`
+   * times, waiting for each result and `gapMs` between clicks. Real input
+   * stops it.
+   * @param {{runs: number, gapMs: number, reset: "none" | "escape" | "click"}} options
+   */
+  async function runBenchmark(options) {
+    if (benchmark || picker) return; // Already picking or running
+    const target = await pickElement("Benchmark: click the element to measure");
+    let resetTarget = null;
+    if (target && options.reset === "click") {
+      resetTarget = await pickElement(
+        "Benchmark: click the element that resets the page between clicks",
+      );
+    }
+    if (!window.framesMonitorActive) return; // Turned off while picking
+    if (!target || (options.reset === "click" && !resetTarget)) {
+      updateDisplayText("Benchmark cancelled");
+      return;
+    }
+
+    benchmark = {
+      id: `${Date.now().toString(36)}-benchmark`,
+      targetSelector: getCssPath(target),
+      resetSelector: resetTarget ? getCssPath(resetTarget) : null,
+      runs: Math.max(1, Math.round(options.runs)),
+      gapMs: Math.max(0, options.gapMs),
+      reset: options.reset,
+      run: 0,
+      measurements: [],
+      missing: 0,
+      resetting: false,
+      stopReason: null,
+    };
+    while (benchmark.run < benchmark.runs && !benchmark.stopReason) {
+      if (!target.isConnected) {
+        benchmark.stopReason = "Stopped: the element was removed";
+        break;
+      }
+      benchmark.run++;
+      const measurement = await clickAndMeasure(
+        target,
+        (candidate) =>
+          candidate.benchmarkId === benchmark.id &&
+          candidate.benchmarkRun === benchmark.run,
+      );
+      if (measurement) {
+        benchmark.measurements.push(measurement);
+      } else if (!benchmark.stopReason) {
+        benchmark.missing++;
+      }
+      if (benchmark.stopReason || benchmark.run === benchmark.runs) break;
+      if (benchmark.reset !== "none") await resetBenchmarkClick(resetTarget);
+      await delay(benchmark.gapMs);
+    }
+    const finished = benchmark;
+    benchmark = null;
+    if (window.framesMonitorActive) {
+      updateDisplayText(formatBenchmarkResults(finished));
+    }
+  }
+
+  // --- Flow Replay ---
+  // background.js replays a recorded flow one step at a time in the top
+  // frame, following the flow across page loads.
+
+  /**
+   * Finds the element for a path from getCssPath(), which may cross open
+   * shadow roots (" >>> ").
+   * @param {string} path
+   * @returns {Element | null}
+   */
+  function queryCssPath(path) {
+    let root = document;
+    let element = null;
+    for (const part of path.split(" >>> ")) {
+      if (!root) return null;
+      element = root.querySelector(part);
+      if (!element) return null;
+      root = element.shadowRoot;
+    }
+    return element;
+  }
+
+  /**
+   * Replays one recorded step: waits for its element to appear, clicks it at
+   * the recorded offset and waits for the measurement, which is tagged with
+   * the flow name and step number.
+   * @param {{replayId: string, flowName: string, step: number}} replay
+   * @param {{selector: string, offsetX: number | null, offsetY: number | null}} step
+   * @returns {Promise<{ok: boolean, measurement?: object, error?: string}>}
+   */
+  async function replayFlowStep(replay, step) {
+    const deadline = performance.now() + REPLAY_ELEMENT_TIMEOUT_MS;
+    let target = queryCssPath(step.selector);
+    while (!target && performance.now() < deadline) {
+      await delay(REPLAY_ELEMENT_POLL_MS);
+      target = queryCssPath(step.selector);
+    }
+    if (!target) {
+      return { ok: false, error: `No element matches ${step.selector}` };
+    }
+    const offset =
+      step.offsetX === null ? null : { x: step.offsetX, y: step.offsetY };
+    replayStep = replay;
+    try {
+      const measurement = await clickAndMeasure(
+        target,
+        (candidate) =>
+          candidate.replayId === replay.replayId &&
+          candidate.flowStep === replay.step,
+        offset,
+      );
+      if (replay.stoppedByInput) {
+        return { ok: false, error: "Stopped by real input" };
+      }
+      return { ok: true, measurement };
+    } finally {
+      replayStep = null;
+    }
+  }
+
+  /**
+   * Shows the steps of a finished replay with their latencies and tells the
+   * page (see the Page API).
+   * @param {{replayId: string, flowName: string, steps: number, completedSteps: number, error: string | null}} replay
+   */
+  function finishReplay(replay) {
+    const measurements = history.filter(
+      (entry) => entry.replayId === replay.replayId,
+    );
+    const lines = [
+      `Flow replayed: ${replay.flowName}`,
+      `${replay.completedSteps} of ${replay.steps} steps`,
+    ];
+    if (replay.error) lines.push(replay.error);
+    for (const measurement of measurements) {
+      const latency = measurement.timedOut
+        ? "timed out"
+        : formatLatency(measurement.latencyMs);
+      lines.push(
+        `${measurement.flowStep}. ${measurement.targetSelector}: ${latency}`,
+      );
+    }
+    lines.push("Synthetic clicks; see Benchmark in the README for the limits.");
+    updateDisplayText(lines.join("\n"));
+    postToPage({
+      type: "replay-finished",
+      ...replay,
+      measurements: getPageMeasurements(measurements),
+    });
+  }
+
+  // --- Page API ---
+  // Lets the page, or a test harness driving it, control the monitor and read
+  // its results with window.postMessage (top frame only). Requests:
+  //   {source: "click-latency-page", id, command: "status" | "start" | "stop" | "get-results"}
+  //   {source: "click-latency-page", id, command: "replay-flow", name}
+  //     replays a flow saved in the extension, if it stays on this page's origin
+  // Replies and events, all with source "click-latency-monitor":
+  //   {type: "ready"} once the monitor is running in the page
+  //   {type: "response", id, command, ok, ...} for each request
+  //   {type: "result", measurement} for each result, sent again (same id) as
+  //   paint timing and later stages arrive
+  //   {type: "replay-finished", replayId, flowName, steps, completedSteps,
+  //   error, measurements} when a replay is done, in the page it ended on
+
+  /**
+   * Posts a reply or event to the page. It stays in this window, so any
+   * script in the page can read it; only this page's measurements are sent,
+   * see toPageMeasurement().
+   * @param {object} message
+   */
+  function postToPage(message) {
+    window.postMessage({ source: PAGE_EVENT_SOURCE, ...message }, "*");
+  }
+
+  /**
+   * Checks whether a URL is on this page's origin.
+   * @param {string | null} url
+   * @returns {boolean}
+   */
+  function isSameOrigin(url) {
+    try {
+      return new URL(url).origin === location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns a measurement as the page's scripts may see it, or null if it
+   * was recorded in a frame of another origin. A change in such a frame is
+   * passed on without its mutations, which carry that frame's text and
+   * attribute values. A press on a page of another origin that navigated
+   * here keeps only that page's origin, as a referrer would, and no target.
+   * @param {object} measurement
+   * @returns {object | null}
+   */
+  function toPageMeasurement(measurement) {
+    if (!isSameOrigin(measurement.url)) return null;
+    let pageMeasurement = measurement;
+    if (
+      measurement.mutationFrameUrl &&
+      !isSameOrigin(measurement.mutationFrameUrl)
+    ) {
+      pageMeasurement = {
+        ...pageMeasurement,
+        mutationFrameUrl: null,
+        mutations: [],
+      };
+    }
+    const { navigation } = measurement;
+    if (navigation && !isSameOrigin(navigation.fromUrl)) {
+      let fromOrigin = null;
+      try {
+        fromOrigin = new URL(navigation.fromUrl).origin;
+      } catch (e) {
+        // Not a URL with an origin
+      }
+      pageMeasurement = {
+        ...pageMeasurement,
+        navigation: { ...navigation, fromUrl: fromOrigin },
+        targetSelector: null,
+        targetPath: null,
+      };
+    }
+    return pageMeasurement;
+  }
+
+  /**
+   * Returns the measurements taken since this document loaded, leaving out
+   * earlier pages in the same tab, as the page's scripts may see them.
+   * @param {object[]} [measurements]
+   * @returns {object[]}
+   */
+  function getPageMeasurements(measurements = history) {
+    return measurements
+      .filter((entry) => entry.recordedAt >= performance.timeOrigin)
+      .map(toPageMeasurement)
+      .filter(Boolean);
+  }
+
+  /**
+   * Handles a page API request.
+   * @param {MessageEvent} event
+   */
+  function onPageMessage(event) {
+    const data = event.data;
+    if (
+      event.source !== window ||
+      !data ||
+      data.source !== PAGE_REQUEST_SOURCE
+    ) {
+      return;
+    }
+    const reply = (payload) =>
+      postToPage({
+        type: "response",
+        id: data.id,
+        command: data.command,
+        ...payload,
+      });
+    switch (data.command) {
+      case "status":
+        reply({ ok: true, measuring, url: location.href });
+        break;
+      case "start":
+        setMeasuring(true);
+        reply({ ok: true, measuring });
+        break;
+      case "stop":
+        setMeasuring(false);
+        reply({ ok: true, measuring });
+        break;
+      case "get-results":
+        reply({ ok: true, measurements: getPageMeasurements() });
+        break;
+      case "replay-flow":
+        sendToBackground({ type: "replay-flow", name: data.name }).then(
+          (response) =>
+            reply(response || { ok: false, error: "Extension not reachable" }),
+        );
+        break;
+      default:
+        reply({ ok: false, error: `Unknown command: ${data.command}` });
     }
   }
 
@@ -376,14 +4169,53 @@
    * Initializes the monitor: creates UI, attaches listeners.
    */
   function init() {
-    createDisplayElement();
-    document.addEventListener("mousedown", onMouseDown, true);
-    document.addEventListener("mouseup", onMouseUp, true);
-    document.addEventListener("mousemove", onMouseMove, true);
-    updateDisplayText("Click to measure latency"); // Initial message
+    createOverlay(); // Before anything is observed, see Overlay above
+    if (IS_TOP_FRAME && !config.overlayHidden) createDisplayElement();
+    document.addEventListener("pointerdown", onPointerDown, true);
+    document.addEventListener("pointerup", onPointerUp, true);
+    document.addEventListener("pointermove", onPointerMove, true);
+    document.addEventListener("pointercancel", onPointerCancel, true);
+    document.addEventListener("pointerover", onPointerOver, true);
+    document.addEventListener("wheel", onWheel, {
+      capture: true,
+      passive: true,
+    });
+    document.addEventListener("scroll", onScroll, {
+      capture: true,
+      passive: true,
+    });
+    document.addEventListener("touchstart", onTouchStart, true);
+    document.addEventListener("touchend", onTouchEnd, true);
+    document.addEventListener("keydown", onKeyDown, true);
+    document.addEventListener("keyup", onKeyUp, true);
+    document.addEventListener("input", onInput, true);
+    shadowRootObserver = new MutationObserver(handleShadowRootDiscovery);
+    shadowRootObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+    });
+    collectShadowRoots(document);
+    window.addEventListener("load", scheduleShadowRootScan);
+    startEventTimingObserver();
+    startLongTaskObserver();
+    startRequestObserver();
+    window.addEventListener(FRAMEWORK_COMMIT_EVENT, onFrameworkCommit);
+    if (config.detectRefreshRate) detectRefreshRate();
+    chrome.runtime.onMessage.addListener(onRuntimeMessage);
+    if (!IS_TOP_FRAME) return; // The top frame shows the overlay and history
+
+    window.addEventListener("message", onPageMessage);
+
+    loadStoredHistory();
+    if (config.pendingNavigation) {
+      finishNavigationMeasurement(config.pendingNavigation);
+    } else {
+      updateDisplayText("Click, tap or type to measure latency"); // Initial message
+    }
     setTimeout(() => {
       if (displayElement) updateDisplayPosition();
     }, 50);
+    postToPage({ type: "ready" });
   }
 
   /**
@@ -392,17 +4224,43 @@
   window.cleanupFramesMonitor = function () {
     console.log("Frames Monitor: Cleaning up...");
     stopMonitoring("cleanup requested"); // Stops all observers
-    // No explicit resetState() needed here, as next mousedown will handle it.
+    stopRemoteWatch();
+    if (pixelWatch) clearTimeout(pixelWatch.timeoutId);
+    pixelWatch = null;
+    finishContinuous();
+    stopBenchmark("Monitor turned off");
+    if (picker) picker.finish(null);
+    if (shadowRootObserver) {
+      shadowRootObserver.disconnect();
+      shadowRootObserver = null;
+    }
+    shadowRoots.clear();
+    window.removeEventListener("load", scheduleShadowRootScan);
+    // No explicit resetState() needed here, as next press will handle it.
     // Or can keep it if cleanup should always clear state immediately. Let's keep it for explicit cleanup.
     resetState(); // Explicitly clear state on full cleanup
 
-    document.removeEventListener("mousedown", onMouseDown, true);
-    document.removeEventListener("mouseup", onMouseUp, true);
-    document.removeEventListener("mousemove", onMouseMove, true);
-    if (displayElement && displayElement.parentNode) {
-      displayElement.parentNode.removeChild(displayElement);
-    }
-    displayElement = null;
+    document.removeEventListener("pointerdown", onPointerDown, true);
+    document.removeEventListener("pointerup", onPointerUp, true);
+    document.removeEventListener("pointermove", onPointerMove, true);
+    document.removeEventListener("pointercancel", onPointerCancel, true);
+    document.removeEventListener("pointerover", onPointerOver, true);
+    document.removeEventListener("wheel", onWheel, { capture: true });
+    document.removeEventListener("scroll", onScroll, { capture: true });
+    document.removeEventListener("touchstart", onTouchStart, true);
+    document.removeEventListener("touchend", onTouchEnd, true);
+    document.removeEventListener("keydown", onKeyDown, true);
+    document.removeEventListener("keyup", onKeyUp, true);
+    document.removeEventListener("input", onInput, true);
+    stopEventTimingObserver();
+    stopLongTaskObserver();
+    stopRequestObserver();
+    window.removeEventListener(FRAMEWORK_COMMIT_EVENT, onFrameworkCommit);
+    window.dispatchEvent(new CustomEvent(FRAMEWORK_CLEANUP_EVENT));
+    chrome.runtime.onMessage.removeListener(onRuntimeMessage);
+    window.removeEventListener("message", onPageMessage);
+    clearHighlight();
+    removeOverlay();
     window.framesMonitorActive = false;
     try {
       delete window.cleanupFramesMonitor;
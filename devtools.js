@@ -0,0 +1,4 @@
+// DevTools page: runs while DevTools is open and adds the "Click Latency"
+// panel (panel.html) next to Elements, Console and the others.
+
+chrome.devtools.panels.create("Click Latency", "icon16.png", "panel.html");
@@ -0,0 +1,319 @@
+// Serializers for exported measurement history. Loaded into the service
+// worker with importScripts(), so everything here is a global.
+
+// Columns written to CSV, in order. Timestamps are performance.now() values
+// relative to the page's timeOrigin.
+const CSV_COLUMNS = [
+  "id",
+  "recordedAt",
+  "url",
+  "interaction",
+  "targetSelector",
+  "inputType",
+  "inputDetail",
+  "synthetic",
+  "benchmarkId",
+  "benchmarkRun",
+  "replayId",
+  "flowName",
+  "flowStep",
+  "siteRule",
+  "deviceProfile",
+  "cpuThrottlingRate",
+  "phase",
+  "navigationType",
+  "timedOut",
+  "timeOrigin",
+  "pressTimestamp",
+  "releaseTimestamp",
+  "mutationTimestamp",
+  "mutationFrameUrl",
+  "paintTimestamp",
+  "presentedTimestamp",
+  "settledTimestamp",
+  "idleTimestamp",
+  "latencyMs",
+  "releaseLatencyMs",
+  "paintLatencyMs",
+  "presentedLatencyMs",
+  "settledLatencyMs",
+  "idleLatencyMs",
+  "settleState",
+  "budgetName",
+  "budgetLimit",
+  "budgetMetric",
+  "budgetLatencyMs",
+  "budgetViolated",
+  "mutationCount",
+  "totalMutationCount",
+  "longTaskCount",
+  "longTaskMs",
+  "eventCount",
+  "updatedEventCount",
+  "eventLatencyMedianMs",
+  "eventLatencyP95Ms",
+  "eventLatencyMaxMs",
+  "framesBehindMedian",
+  "framesBehindP95",
+  "pixelState",
+  "pixelLatencyMs",
+  "pixelChangedPercent",
+  "handlersLatencyMs",
+  "framework",
+  "commitLatencyMs",
+  "frameworkCommitCount",
+  "commitComponents",
+  "slowestScript",
+  "slowestScriptMs",
+  "requestCount",
+  "slowestRequestUrl",
+  "slowestRequestMs",
+];
+
+// File extension and MIME type per export format
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv" },
+  jsonl: { extension: "jsonl", mimeType: "application/x-ndjson" },
+  trace: { extension: "trace.json", mimeType: "application/json" },
+};
+
+// Quote a CSV field if it contains a delimiter, quote or line break
+function toCsvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Frame counts get one column per refresh rate seen in the data, e.g. "frames@144"
+function measurementsToCsv(measurements) {
+  const refreshRates = [
+    ...new Set(
+      measurements.flatMap((measurement) => measurement.refreshRates || []),
+    ),
+  ].sort((a, b) => a - b);
+  const header = [...CSV_COLUMNS, ...refreshRates.map((hz) => `frames@${hz}`)];
+  const rows = [header.join(",")];
+  for (const measurement of measurements) {
+    const frames = measurement.frames || {};
+    rows.push(
+      [
+        ...CSV_COLUMNS.map((column) => measurement[column]),
+        ...refreshRates.map((hz) => frames[hz]),
+      ]
+        .map(toCsvField)
+        .join(","),
+    );
+  }
+  return rows.join("\r\n") + "\r\n";
+}
+
+// One JSON object per line, so files can be appended to and streamed
+function measurementsToJsonLines(measurements) {
+  return measurements
+    .map((measurement) => JSON.stringify(measurement) + "\n")
+    .join("");
+}
+
+// Chrome Trace Event Format (the JSON Object Format), loadable in the
+// DevTools Performance panel and Perfetto. Timestamps are converted to
+// microseconds since the Unix epoch (timeOrigin + performance.now()), so
+// measurements from different documents share one timeline.
+function measurementsToTrace(measurements, tabId) {
+  const pid = tabId;
+  const tid = 1;
+  const traceEvents = [
+    {
+      name: "process_name",
+      ph: "M",
+      pid,
+      tid,
+      args: { name: `Click Latency Monitor (tab ${tabId})` },
+    },
+    { name: "thread_name", ph: "M", pid, tid, args: { name: "Interactions" } },
+    {
+      name: "thread_name",
+      ph: "M",
+      pid,
+      tid: tid + 1,
+      args: { name: "Long tasks" },
+    },
+    {
+      name: "thread_name",
+      ph: "M",
+      pid,
+      tid: tid + 2,
+      args: { name: "Network requests" },
+    },
+  ];
+  const toMicros = (measurement, timestamp) =>
+    Math.round((measurement.timeOrigin + timestamp) * 1000);
+
+  for (const measurement of measurements) {
+    if (!measurement.timeOrigin || measurement.pressTimestamp === null) {
+      continue;
+    }
+    const args = {
+      id: measurement.id,
+      url: measurement.url,
+      target: measurement.targetSelector,
+      phase: measurement.phase,
+      navigation: measurement.navigation
+        ? measurement.navigation.type
+        : undefined,
+      input: measurement.inputDetail
+        ? `${measurement.inputType} (${measurement.inputDetail})`
+        : measurement.inputType,
+    };
+    // Drags, scrolls and hovers: one slice for the gesture
+    if (measurement.interaction && measurement.interaction !== "click") {
+      traceEvents.push({
+        name: `${measurement.interaction} (${measurement.eventCount} events)`,
+        cat: "click-latency",
+        ph: "X",
+        ts: toMicros(measurement, measurement.pressTimestamp),
+        dur: Math.max(
+          0,
+          Math.round(
+            (measurement.endTimestamp - measurement.pressTimestamp) * 1000,
+          ),
+        ),
+        pid,
+        tid,
+        args: {
+          ...args,
+          eventLatencyMedianMs: measurement.eventLatencyMedianMs,
+          eventLatencyP95Ms: measurement.eventLatencyP95Ms,
+          framesBehindMedian: measurement.framesBehindMedian,
+        },
+      });
+      continue;
+    }
+    const markers = [
+      [`${measurement.inputType} press`, measurement.pressTimestamp],
+      [`${measurement.inputType} release`, measurement.releaseTimestamp],
+      ["DOM mutation", measurement.mutationTimestamp],
+      ["Paint", measurement.paintTimestamp],
+      ["Pixels changed", measurement.pixelChangeTimestamp],
+      ["Handlers done", measurement.handlersTimestamp],
+      ["Presented (Event Timing)", measurement.presentedTimestamp],
+      ["DOM settled", measurement.settledTimestamp],
+      ["Idle", measurement.idleTimestamp],
+    ];
+    for (const [name, timestamp] of markers) {
+      if (timestamp === null || timestamp === undefined) continue;
+      traceEvents.push({
+        name,
+        cat: "click-latency",
+        ph: "i",
+        s: "t",
+        ts: toMicros(measurement, timestamp),
+        pid,
+        tid,
+        args,
+      });
+    }
+
+    // Framework commits, named after the components they rendered
+    for (const commit of measurement.frameworkCommits || []) {
+      traceEvents.push({
+        name: `${commit.framework} commit`,
+        cat: "click-latency",
+        ph: "i",
+        s: "t",
+        ts: toMicros(measurement, commit.timestamp),
+        pid,
+        tid,
+        args: { id: measurement.id, components: commit.components },
+      });
+    }
+
+    // A slice spanning the whole interaction, so it is visible when zoomed out
+    const end = measurement.timedOut
+      ? measurement.releaseTimestamp
+      : (measurement.paintTimestamp ?? measurement.mutationTimestamp);
+    if (end !== null && end !== undefined) {
+      traceEvents.push({
+        name: measurement.timedOut
+          ? "Interaction (timed out)"
+          : `Press → DOM ${measurement.latencyMs.toFixed(1)} ms`,
+        cat: "click-latency",
+        ph: "X",
+        ts: toMicros(measurement, measurement.pressTimestamp),
+        dur: Math.max(0, Math.round((end - measurement.pressTimestamp) * 1000)),
+        pid,
+        tid,
+        args,
+      });
+    }
+
+    // Long tasks and long animation frames that overlapped the interaction
+    for (const task of measurement.longTasks || []) {
+      traceEvents.push({
+        name:
+          task.type === "long-animation-frame"
+            ? "Long animation frame"
+            : "Long task",
+        cat: "click-latency",
+        ph: "X",
+        ts: toMicros(measurement, task.startTime),
+        dur: Math.round(task.duration * 1000),
+        pid,
+        tid: tid + 1,
+        args: {
+          id: measurement.id,
+          blockingDuration: task.blockingDuration,
+          container: task.container,
+        },
+      });
+      // Scripts attributed to a long animation frame, nested inside it
+      for (const script of task.scripts || []) {
+        traceEvents.push({
+          name: script.sourceFunctionName || script.invoker || "Script",
+          cat: "click-latency",
+          ph: "X",
+          ts: toMicros(measurement, script.startTime),
+          dur: Math.round(script.duration * 1000),
+          pid,
+          tid: tid + 1,
+          args: {
+            id: measurement.id,
+            invoker: script.invoker,
+            invokerType: script.invokerType,
+            sourceUrl: script.sourceUrl,
+            sourceCharPosition: script.sourceCharPosition,
+            forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration,
+          },
+        });
+      }
+    }
+
+    // Fetch and XHR requests started during the interaction
+    for (const request of measurement.requests || []) {
+      traceEvents.push({
+        name: `${request.type} ${request.url}`,
+        cat: "click-latency",
+        ph: "X",
+        ts: toMicros(measurement, request.startTime),
+        dur: Math.round(request.duration * 1000),
+        pid,
+        tid: tid + 2,
+        args: { id: measurement.id, responseStatus: request.responseStatus },
+      });
+    }
+  }
+  return JSON.stringify({ traceEvents, displayTimeUnit: "ms" });
+}
+
+// Serialize measurements in one of the EXPORT_FORMATS
+function serializeMeasurements(format, measurements, tabId) {
+  switch (format) {
+    case "csv":
+      return measurementsToCsv(measurements);
+    case "jsonl":
+      return measurementsToJsonLines(measurements);
+    case "trace":
+      return measurementsToTrace(measurements, tabId);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
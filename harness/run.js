@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+// Runs the Click Latency Monitor extension in Chrome with Puppeteer: loads the
+// unpacked extension from the repository root, opens a page with the monitor
+// enabled, clicks a list of targets and writes a JSON report. Exits with 1
+// when a click exceeded its budget or changed nothing, so it can gate CI.
+//
+// Usage: node run.js [scenario.json] [--out report.json] [--headful]
+//
+// A scenario looks like scenario.json next to this file. A relative "url" is
+// served from this directory over HTTP; budgets use the same format as the
+// options page. "flows" lists flows exported from the popup, which are
+// replayed after the targets have been clicked.
+
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+const puppeteer = require("puppeteer");
+
+const EXTENSION_PATH = path.resolve(__dirname, "..");
+const MONITOR_READY_TIMEOUT_MS = 10000;
+const RESULT_TIMEOUT_MS = 15000;
+const POLL_INTERVAL_MS = 100;
+
+// Same protocol as the page API in content.js
+const PAGE_REQUEST_SOURCE = "click-latency-page";
+const PAGE_EVENT_SOURCE = "click-latency-monitor";
+const SAVED_FLOWS_KEY = "savedFlows"; // Same as config.js
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+};
+
+function parseArgs(argv) {
+  const args = {
+    scenario: path.join(__dirname, "scenario.json"),
+    out: "report.json",
+    headful: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") {
+      args.out = argv[++i];
+    } else if (argv[i] === "--headful") {
+      args.headful = true;
+    } else {
+      args.scenario = argv[i];
+    }
+  }
+  return args;
+}
+
+// Serve a directory on a free local port. Resolves to the server and its origin.
+function serveDirectory(root) {
+  const server = http.createServer((request, response) => {
+    const urlPath = decodeURIComponent(
+      new URL(request.url, "http://x").pathname,
+    );
+    const filePath = path.join(root, urlPath);
+    if (!filePath.startsWith(root)) {
+      response.writeHead(403).end();
+      return;
+    }
+    fs.readFile(filePath, (err, data) => {
+      if (err) {
+        response.writeHead(404).end("Not found");
+        return;
+      }
+      const type =
+        CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream";
+      response.writeHead(200, { "Content-Type": type }).end(data);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, origin: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// The extension's service worker, for writing its settings
+async function getServiceWorker(browser) {
+  const target = await browser.waitForTarget(
+    (candidate) =>
+      candidate.type() === "service_worker" &&
+      candidate.url().endsWith("/background.js"),
+  );
+  return target.worker();
+}
+
+// Runs in the page before its own scripts: keeps every result and finished
+// replay the monitor posts, so they survive until the harness collects them
+function installResultCollector(eventSource) {
+  window.__clickLatencyResults = new Map();
+  window.__clickLatencyReplays = new Map();
+  window.addEventListener("message", (event) => {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== eventSource) return;
+    if (data.type === "result") {
+      window.__clickLatencyResults.set(data.measurement.id, data.measurement);
+    } else if (data.type === "replay-finished") {
+      window.__clickLatencyReplays.set(data.replayId, data);
+    }
+  });
+}
+
+// Send a page API request and wait for the reply
+function sendPageRequest(page, command, payload = {}) {
+  return page.evaluate(
+    (command, payload, requestSource, eventSource) =>
+      new Promise((resolve, reject) => {
+        const id = Math.random().toString(36).slice(2);
+        const timer = setTimeout(() => {
+          window.removeEventListener("message", onMessage);
+          reject(new Error(`No reply to "${command}"`));
+        }, 1000);
+        function onMessage(event) {
+          const data = event.data;
+          if (
+            event.source !== window ||
+            !data ||
+            data.source !== eventSource ||
+            data.type !== "response" ||
+            data.id !== id
+          ) {
+            return;
+          }
+          clearTimeout(timer);
+          window.removeEventListener("message", onMessage);
+          resolve(data);
+        }
+        window.addEventListener("message", onMessage);
+        window.postMessage(
+          { source: requestSource, id, command, ...payload },
+          "*",
+        );
+      }),
+    command,
+    payload,
+    PAGE_REQUEST_SOURCE,
+    PAGE_EVENT_SOURCE,
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait until the monitor answers in the page
+async function waitForMonitor(page) {
+  const deadline = Date.now() + MONITOR_READY_TIMEOUT_MS;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    try {
+      const reply = await sendPageRequest(page, "status");
+      if (reply.ok) return reply;
+    } catch (err) {
+      lastError = err;
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+  throw new Error(
+    `The monitor did not start in the page (${lastError && lastError.message}). Is the URL matched by autoEnablePatterns?`,
+  );
+}
+
+// A result is final once nothing more will be added to it: it timed out, the
+// DOM settled (or never did), or for a navigation its first paint arrived
+function isFinal(measurement) {
+  if (measurement.timedOut) return true;
+  if (measurement.phase === "navigation") {
+    return measurement.paintTimestamp !== null;
+  }
+  return (
+    Boolean(measurement.settleState) && measurement.settleState !== "settling"
+  );
+}
+
+// Wait for the final result of the first press recorded after `since`
+// (Date.now() in the page). Tolerates the click navigating the page.
+async function waitForResult(page, since) {
+  const deadline = Date.now() + RESULT_TIMEOUT_MS;
+  let latest = null;
+  while (Date.now() < deadline) {
+    try {
+      const measurements = await page.evaluate(() => [
+        ...(window.__clickLatencyResults || new Map()).values(),
+      ]);
+      const candidates = measurements
+        .filter((measurement) => measurement.recordedAt >= since)
+        .sort((a, b) => a.recordedAt - b.recordedAt);
+      if (candidates.length) {
+        latest = candidates[0];
+        if (isFinal(latest)) return latest;
+      }
+    } catch {
+      // The page is navigating; try again in the new document
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+  return latest;
+}
+
+// Load a flow exported from the popup (a path relative to the scenario, or
+// the flow itself). Relative URLs in it are resolved against the root of the
+// served scenario folder, like the scenario's own "url", so flows for the
+// served test page work on any port.
+function loadFlow(flow, scenarioDir, baseUrl) {
+  const loaded =
+    typeof flow === "string"
+      ? JSON.parse(fs.readFileSync(path.resolve(scenarioDir, flow), "utf8"))
+      : flow;
+  return {
+    ...loaded,
+    url: new URL(loaded.url, baseUrl).href,
+    steps: loaded.steps.map((step) => ({
+      ...step,
+      url: new URL(step.url, baseUrl).href,
+    })),
+  };
+}
+
+// Save a flow in the extension, like Stop in the popup does; the page API
+// only replays saved flows
+async function saveFlow(worker, flow) {
+  await worker.evaluate(
+    async (key, flow) => {
+      const stored = await chrome.storage.local.get(key);
+      await chrome.storage.local.set({ [key]: [...(stored[key] || []), flow] });
+    },
+    SAVED_FLOWS_KEY,
+    flow,
+  );
+}
+
+// Replay a saved flow through the page API and wait until it has finished, which
+// may be on another page. Resolves to the "replay-finished" event.
+async function replayFlow(page, flow) {
+  const reply = await sendPageRequest(page, "replay-flow", { name: flow.name });
+  if (!reply.ok) throw new Error(reply.error);
+  const totalDelayMs = flow.steps.reduce((sum, step) => sum + step.delayMs, 0);
+  const deadline =
+    Date.now() + totalDelayMs + flow.steps.length * RESULT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const finished = await page.evaluate(
+        (replayId) =>
+          window.__clickLatencyReplays &&
+          window.__clickLatencyReplays.get(replayId),
+        reply.replayId,
+      );
+      if (finished) return finished;
+    } catch {
+      // The page is navigating; try again in the new document
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+  throw new Error(`Replay of "${flow.name}" did not finish in time`);
+}
+
+function logEntry(entry) {
+  const measurement = entry.measurement;
+  let outcome = entry.error;
+  if (!outcome) {
+    outcome = measurement.timedOut
+      ? "timed out"
+      : `${measurement.latencyMs.toFixed(1)} ms`;
+  }
+  const overBudget =
+    measurement && measurement.budgetViolated ? " (over budget)" : "";
+  console.log(`${entry.name} #${entry.index + 1}: ${outcome}${overBudget}`);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+function summarize(results) {
+  const latencies = results
+    .map((result) => result.measurement && result.measurement.latencyMs)
+    .filter((latency) => typeof latency === "number")
+    .sort((a, b) => a - b);
+  return {
+    clicks: results.length,
+    measured: latencies.length,
+    timedOut: results.filter(
+      (result) => result.measurement && result.measurement.timedOut,
+    ).length,
+    overBudget: results.filter(
+      (result) => result.measurement && result.measurement.budgetViolated,
+    ).length,
+    errors: results.filter((result) => result.error).length,
+    medianMs: percentile(latencies, 50),
+    p95Ms: percentile(latencies, 95),
+    maxMs: latencies.length ? latencies[latencies.length - 1] : null,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scenarioPath = path.resolve(args.scenario);
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, "utf8"));
+  const startedAt = new Date().toISOString();
+
+  let server = null;
+  let url = scenario.url;
+  let baseUrl = url; // Relative flow URLs are resolved against this
+  if (!/^https?:\/\//.test(url)) {
+    const served = await serveDirectory(path.dirname(scenarioPath));
+    server = served.server;
+    baseUrl = `${served.origin}/`;
+    url = new URL(url, baseUrl).href;
+  }
+
+  const browser = await puppeteer.launch({
+    headless: !args.headful,
+    args: [
+      `--disable-extensions-except=${EXTENSION_PATH}`,
+      `--load-extension=${EXTENSION_PATH}`,
+    ],
+  });
+  const results = [];
+  try {
+    // Turn the monitor on for the page under test, with the scenario's budgets
+    const worker = await getServiceWorker(browser);
+    await worker.evaluate((settings) => chrome.storage.sync.set(settings), {
+      autoEnablePatterns: [`${new URL(url).origin}/*`],
+      budgets: scenario.budgets || [],
+    });
+
+    const page = await browser.newPage();
+    await page.evaluateOnNewDocument(installResultCollector, PAGE_EVENT_SOURCE);
+    await page.goto(url, { waitUntil: "load" });
+    await waitForMonitor(page);
+
+    for (const target of scenario.targets) {
+      for (let index = 0; index < (target.repeat || 1); index++) {
+        const entry = {
+          name: target.name || target.selector,
+          selector: target.selector,
+          index,
+        };
+        try {
+          const since = await page.evaluate(() => Date.now());
+          if (target.key) {
+            // Typed into, e.g. a text field
+            await page.focus(target.selector);
+            await page.keyboard.press(target.key);
+          } else {
+            await page.click(target.selector);
+          }
+          entry.measurement = await waitForResult(page, since);
+          if (!entry.measurement) entry.error = "No result recorded";
+        } catch (err) {
+          entry.error = err.message;
+        }
+        results.push(entry);
+        logEntry(entry);
+        await sleep(scenario.delayMs || 0);
+      }
+    }
+
+    // Recorded flows, each step reported like a target
+    for (const flowSource of scenario.flows || []) {
+      const flow = loadFlow(flowSource, path.dirname(scenarioPath), baseUrl);
+      try {
+        await saveFlow(worker, flow);
+        const replay = await replayFlow(page, flow);
+        for (const measurement of replay.measurements) {
+          const entry = {
+            name: `${flow.name}, step ${measurement.flowStep}`,
+            selector: measurement.targetSelector,
+            index: 0,
+            measurement,
+          };
+          results.push(entry);
+          logEntry(entry);
+        }
+        if (replay.error) throw new Error(replay.error);
+      } catch (err) {
+        const entry = { name: flow.name, selector: null, index: 0 };
+        entry.error = err.message;
+        results.push(entry);
+        logEntry(entry);
+      }
+      await sleep(scenario.delayMs || 0);
+    }
+  } finally {
+    await browser.close();
+    if (server) server.close();
+  }
+
+  const summary = summarize(results);
+  const passed =
+    summary.overBudget === 0 && summary.timedOut === 0 && summary.errors === 0;
+  const report = {
+    url,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    budgets: scenario.budgets || [],
+    summary,
+    passed,
+    results,
+  };
+  fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  console.log(
+    `${passed ? "PASSED" : "FAILED"}: ${summary.clicks} clicks, ${summary.overBudget} over budget, ${summary.timedOut} timed out, ${summary.errors} errors. Report: ${args.out}`,
+  );
+  process.exitCode = passed ? 0 : 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 2;
+});
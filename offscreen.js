@@ -0,0 +1,250 @@
+// Offscreen document that looks for visual changes after presses: canvas
+// redraws, CSS-only state and transitions that never mutate the DOM.
+// background.js creates it, because a service worker can't receive media
+// streams, and hands it a tab capture stream per tab. For each press in the
+// top frame it compares the region around the press point with the last
+// frame from before the press and reports the first frame that differs.
+
+// Recent frames kept per tab, to find the one before a press: the press
+// reaches this document through the service worker, which on an animating
+// page takes several frames
+const FRAME_HISTORY_MS = 500;
+const MAX_STORED_FRAMES = 30; // About FRAME_HISTORY_MS at 60 Hz; each is a full-size canvas
+const PIXEL_TOLERANCE = 24; // Channel differences up to this are video compression noise
+const MAX_FRAME_RATE = 60;
+
+// Captured tabs: tabId → {stream, frames: [{canvas, context, epoch}], clockOffset, watch}
+const captures = new Map();
+
+// Start receiving a tab's frames. Chrome sends a new frame only when the
+// tab's content changed, so a static page costs nothing.
+async function startCapture(tabId, streamId) {
+  stopCapture(tabId);
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      mandatory: {
+        chromeMediaSource: "tab",
+        chromeMediaSourceId: streamId,
+        maxFrameRate: MAX_FRAME_RATE,
+      },
+    },
+  });
+  const [track] = stream.getVideoTracks();
+  const capture = { stream, frames: [], clockOffset: null, watch: null };
+  captures.set(tabId, capture);
+  // The tab was closed, or the user stopped sharing it
+  track.addEventListener("ended", () => {
+    if (captures.get(tabId) !== capture) return;
+    stopCapture(tabId);
+    chrome.runtime.sendMessage({ type: "capture-ended", tabId });
+  });
+  readFrames(tabId, capture, new MediaStreamTrackProcessor({ track }));
+}
+
+function stopCapture(tabId) {
+  const capture = captures.get(tabId);
+  if (!capture) return;
+  captures.delete(tabId);
+  if (capture.watch) clearTimeout(capture.watch.timeoutId);
+  for (const track of capture.stream.getTracks()) track.stop();
+}
+
+// Keep each frame and compare it for the press being watched, until the
+// track stops
+async function readFrames(tabId, capture, processor) {
+  const reader = processor.readable.getReader();
+  for (;;) {
+    let frame;
+    try {
+      const { value, done } = await reader.read();
+      if (done) return;
+      frame = value;
+    } catch (err) {
+      return;
+    }
+    // VideoFrame.timestamp is the capture time in microseconds on the
+    // capturer's clock. Anchor it to ours by the quickest delivery seen, so
+    // frames that arrive late keep the time they were captured at.
+    const arrivalEpoch = performance.timeOrigin + performance.now();
+    const capturedMs = frame.timestamp / 1000;
+    if (
+      capture.clockOffset === null ||
+      arrivalEpoch - capturedMs < capture.clockOffset
+    ) {
+      capture.clockOffset = arrivalEpoch - capturedMs;
+    }
+    const epoch = capturedMs + capture.clockOffset;
+    let stored;
+    try {
+      stored = storeFrame(capture, frame, epoch);
+    } finally {
+      frame.close();
+    }
+    if (capture.watch) checkFrame(tabId, capture, stored);
+  }
+}
+
+// Draw a frame into the tab's recent frames, reusing the slot of one that is
+// older than FRAME_HISTORY_MS (or the oldest, once MAX_STORED_FRAMES are
+// kept) and dropping the other old ones. The newest of those stays: on a
+// page that was still, it is what the screen showed since.
+function storeFrame(capture, frame, epoch) {
+  const cutoff = epoch - FRAME_HISTORY_MS;
+  const expired = capture.frames
+    .filter((stored) => stored.epoch < cutoff)
+    .sort((a, b) => a.epoch - b.epoch);
+  capture.frames = capture.frames.filter(
+    (stored) => stored.epoch >= cutoff || stored === expired.at(-1),
+  );
+  let slot = expired.length > 1 ? expired[0] : null;
+  if (!slot && capture.frames.length >= MAX_STORED_FRAMES) {
+    slot = capture.frames.reduce((oldest, stored) =>
+      stored.epoch < oldest.epoch ? stored : oldest,
+    );
+    capture.frames.splice(capture.frames.indexOf(slot), 1);
+  }
+  if (!slot) {
+    const canvas = new OffscreenCanvas(frame.displayWidth, frame.displayHeight);
+    slot = {
+      canvas,
+      context: canvas.getContext("2d", { willReadFrequently: true }),
+      epoch: 0,
+    };
+  }
+  capture.frames.push(slot);
+  if (
+    slot.canvas.width !== frame.displayWidth ||
+    slot.canvas.height !== frame.displayHeight
+  ) {
+    slot.canvas.width = frame.displayWidth;
+    slot.canvas.height = frame.displayHeight;
+  }
+  slot.context.drawImage(frame, 0, 0);
+  slot.epoch = epoch;
+  return slot;
+}
+
+// The square around the press point in frame pixels. Frames show the
+// viewport, scaled by the device pixel ratio and the capture's resolution.
+function getRegion(frame, watch) {
+  const { width, height } = frame.canvas;
+  const scaleX = width / watch.viewportWidth;
+  const scaleY = height / watch.viewportHeight;
+  const half = watch.regionSize / 2;
+  const left = Math.max(0, Math.floor((watch.x - half) * scaleX));
+  const top = Math.max(0, Math.floor((watch.y - half) * scaleY));
+  const right = Math.min(width, Math.ceil((watch.x + half) * scaleX));
+  const bottom = Math.min(height, Math.ceil((watch.y + half) * scaleY));
+  return {
+    left: Math.min(left, width - 1),
+    top: Math.min(top, height - 1),
+    width: Math.max(1, right - left),
+    height: Math.max(1, bottom - top),
+  };
+}
+
+function readRegion(frame, region) {
+  return frame.context.getImageData(
+    region.left,
+    region.top,
+    region.width,
+    region.height,
+  ).data;
+}
+
+// Percentage of pixels whose color differs beyond compression noise
+function getChangedPercent(before, after) {
+  let changed = 0;
+  for (let i = 0; i < before.length; i += 4) {
+    if (
+      Math.abs(before[i] - after[i]) > PIXEL_TOLERANCE ||
+      Math.abs(before[i + 1] - after[i + 1]) > PIXEL_TOLERANCE ||
+      Math.abs(before[i + 2] - after[i + 2]) > PIXEL_TOLERANCE
+    ) {
+      changed++;
+    }
+  }
+  return (changed / (before.length / 4)) * 100;
+}
+
+// Start watching a tab for a press (see startPixelWatch in content.js). The
+// message arrives a little after the press, so frames received meanwhile are
+// checked right away.
+function watchRegion(tabId, watch) {
+  const capture = captures.get(tabId);
+  if (!capture) return;
+  if (capture.watch) clearTimeout(capture.watch.timeoutId);
+  capture.watch = null;
+  const frames = [...capture.frames].sort((a, b) => a.epoch - b.epoch);
+  if (!frames.length) return;
+  const before = frames.filter((frame) => frame.epoch <= watch.pressEpoch);
+  const baseline = before.length ? before[before.length - 1] : frames[0];
+  const region = getRegion(baseline, watch);
+  capture.watch = {
+    ...watch,
+    region,
+    frameWidth: baseline.canvas.width,
+    frameHeight: baseline.canvas.height,
+    baselineEpoch: baseline.epoch,
+    baseline: readRegion(baseline, region),
+    timeoutId: setTimeout(() => {
+      if (capture.watch && capture.watch.pressId === watch.pressId) {
+        capture.watch = null;
+      }
+    }, watch.durationMs),
+  };
+  for (const frame of frames) {
+    if (!capture.watch) break;
+    checkFrame(tabId, capture, frame);
+  }
+}
+
+// Report the frame if its region differs enough from the baseline
+function checkFrame(tabId, capture, frame) {
+  const watch = capture.watch;
+  if (
+    frame.epoch <= watch.baselineEpoch ||
+    frame.canvas.width !== watch.frameWidth ||
+    frame.canvas.height !== watch.frameHeight
+  ) {
+    return; // Resized tabs aren't compared
+  }
+  const changedPercent = getChangedPercent(
+    watch.baseline,
+    readRegion(frame, watch.region),
+  );
+  if (changedPercent < watch.thresholdPercent) return;
+  clearTimeout(watch.timeoutId);
+  capture.watch = null;
+  chrome.runtime.sendMessage({
+    type: "pixel-change",
+    tabId,
+    report: {
+      pressId: watch.pressId,
+      changedEpoch: frame.epoch,
+      changedPercent,
+    },
+  });
+}
+
+// Messages from background.js; the other extension pages ignore them
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen") return false;
+  switch (message.type) {
+    case "start-capture":
+      startCapture(message.tabId, message.streamId).then(
+        () => sendResponse({ ok: true }),
+        (err) => sendResponse({ ok: false, error: err.message }),
+      );
+      return true;
+    case "stop-capture":
+      stopCapture(message.tabId);
+      return false;
+    case "watch":
+      watchRegion(message.tabId, message.watch);
+      return false;
+    default:
+      return false;
+  }
+});
@@ -0,0 +1,289 @@
+// Options page: edits the settings defined in config.js
+
+const INPUT_TYPES = Object.keys(DEFAULT_CONFIG.inputTypes);
+const CONTINUOUS_MODES = Object.keys(DEFAULT_CONFIG.continuousModes);
+const MUTATION_TYPES = Object.keys(DEFAULT_CONFIG.mutationTypes);
+
+const form = document.getElementById("options-form");
+const statusElement = document.getElementById("status");
+
+// Show a short confirmation or validation error next to the buttons
+function showStatus(text, isError = false) {
+  statusElement.textContent = text;
+  statusElement.classList.toggle("error", isError);
+  if (!isError) {
+    setTimeout(() => {
+      if (statusElement.textContent === text) statusElement.textContent = "";
+    }, 2000);
+  }
+}
+
+function fillForm(config) {
+  document.getElementById("timeoutMs").value = config.timeoutMs;
+  document.getElementById("navigationTimeoutMs").value =
+    config.navigationTimeoutMs;
+  document.getElementById("settleQuietMs").value = config.settleQuietMs;
+  document.getElementById("settleMaxMs").value = config.settleMaxMs;
+  document.getElementById("paintTiming").checked = config.paintTiming;
+  document.getElementById("refreshRates").value =
+    config.refreshRates.join(", ");
+  document.getElementById("detectRefreshRate").checked =
+    config.detectRefreshRate;
+  document.getElementById("overlayPosition").value = config.overlayPosition;
+  document.getElementById("overlayOffset").value = config.overlayOffset;
+  document.getElementById("overlayLayout").value = config.overlayLayout;
+  document.getElementById("overlayTheme").value = config.overlayTheme;
+  document.getElementById("highlightChanges").checked = config.highlightChanges;
+  document.getElementById("showAllMutations").checked = config.showAllMutations;
+  document.getElementById("showWaterfall").checked = config.showWaterfall;
+  document.getElementById("badgeBudgetMs").value = config.badgeBudgetMs;
+  document.getElementById("deviceProfile").value = config.deviceProfile;
+  document.getElementById("pixelRegionSize").value = config.pixelRegionSize;
+  document.getElementById("pixelChangePercent").value =
+    config.pixelChangePercent;
+  for (const type of INPUT_TYPES) {
+    document.getElementById(`inputTypes-${type}`).checked =
+      config.inputTypes[type];
+  }
+  for (const mode of CONTINUOUS_MODES) {
+    document.getElementById(`continuousModes-${mode}`).checked =
+      config.continuousModes[mode];
+  }
+  for (const type of MUTATION_TYPES) {
+    document.getElementById(`mutationTypes-${type}`).checked =
+      config.mutationTypes[type];
+  }
+  document.getElementById("budgets").value = JSON.stringify(
+    config.budgets,
+    null,
+    2,
+  );
+  document.getElementById("budgetNotifications").checked =
+    config.budgetNotifications;
+  document.getElementById("autoEnablePatterns").value =
+    config.autoEnablePatterns.join("\n");
+  document.getElementById("siteRules").value = JSON.stringify(
+    config.siteRules,
+    null,
+    2,
+  );
+}
+
+// Check a selector list the same way the content script will use it
+function assertValidSelector(selector, ruleName) {
+  try {
+    document.querySelector(selector);
+  } catch {
+    throw new Error(`Rule "${ruleName}": invalid selector "${selector}".`);
+  }
+}
+
+// Parse and validate the site rules textarea
+function readSiteRules() {
+  let rules;
+  try {
+    rules = JSON.parse(document.getElementById("siteRules").value || "[]");
+  } catch (err) {
+    throw new Error(`Site rules are not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error("Site rules must be a JSON array.");
+  }
+  return rules.map((rule, index) => {
+    const name =
+      typeof rule.name === "string" && rule.name
+        ? rule.name
+        : `Rule ${index + 1}`;
+    if (typeof rule.urlPattern !== "string" || !rule.urlPattern) {
+      throw new Error(`Rule "${name}": urlPattern is required.`);
+    }
+    for (const key of ["ignoreSelectors", "ignoredAttributes"]) {
+      if (
+        rule[key] !== undefined &&
+        (!Array.isArray(rule[key]) ||
+          rule[key].some((value) => typeof value !== "string"))
+      ) {
+        throw new Error(`Rule "${name}": ${key} must be an array of strings.`);
+      }
+    }
+    if (rule.rootSelector) assertValidSelector(rule.rootSelector, name);
+    for (const selector of rule.ignoreSelectors || []) {
+      assertValidSelector(selector, name);
+    }
+    return {
+      name,
+      urlPattern: rule.urlPattern,
+      rootSelector: rule.rootSelector || "",
+      ignoreSelectors: rule.ignoreSelectors || [],
+      ignoredAttributes: rule.ignoredAttributes || [],
+      ignoreOutsideViewport: Boolean(rule.ignoreOutsideViewport),
+    };
+  });
+}
+
+// Parse and validate the budgets textarea. Paint budgets need paint timing.
+function readBudgets(paintTiming) {
+  let budgets;
+  try {
+    budgets = JSON.parse(document.getElementById("budgets").value || "[]");
+  } catch (err) {
+    throw new Error(`Budgets are not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(budgets)) {
+    throw new Error("Budgets must be a JSON array.");
+  }
+  return budgets.map((budget, index) => {
+    const name =
+      typeof budget.name === "string" && budget.name
+        ? budget.name
+        : `Budget ${index + 1}`;
+    const isPositive = (value) => typeof value === "number" && value > 0;
+    if (budget.maxMs === undefined && budget.maxFrames === undefined) {
+      throw new Error(`Budget "${name}": set maxMs, maxFrames or both.`);
+    }
+    for (const key of ["maxMs", "maxFrames", "hz"]) {
+      if (budget[key] !== undefined && !isPositive(budget[key])) {
+        throw new Error(`Budget "${name}": ${key} must be a positive number.`);
+      }
+    }
+    const metric = budget.metric || "dom";
+    if (!["dom", "paint", "settled"].includes(metric)) {
+      throw new Error(
+        `Budget "${name}": metric must be "dom", "paint" or "settled".`,
+      );
+    }
+    if (metric === "paint" && !paintTiming) {
+      throw new Error(
+        `Budget "${name}": the "paint" metric needs paint timing turned on.`,
+      );
+    }
+    if (budget.selector) assertValidSelector(budget.selector, name);
+    const result = { name, metric };
+    if (budget.urlPattern) result.urlPattern = budget.urlPattern;
+    if (budget.selector) result.selector = budget.selector;
+    for (const key of ["maxMs", "maxFrames", "hz"]) {
+      if (budget[key] !== undefined) result[key] = budget[key];
+    }
+    return result;
+  });
+}
+
+// Read and validate the form. Throws an Error with a user-facing message.
+function readForm() {
+  const refreshRates = document
+    .getElementById("refreshRates")
+    .value.split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(Number);
+  if (
+    !refreshRates.length ||
+    refreshRates.some((hz) => !(hz >= 1 && hz <= 1000))
+  ) {
+    throw new Error("Refresh rates must be numbers between 1 and 1000.");
+  }
+
+  const inputTypes = {};
+  for (const type of INPUT_TYPES) {
+    inputTypes[type] = document.getElementById(`inputTypes-${type}`).checked;
+  }
+  if (!Object.values(inputTypes).some(Boolean)) {
+    throw new Error("Select at least one input type.");
+  }
+
+  const continuousModes = {};
+  for (const mode of CONTINUOUS_MODES) {
+    continuousModes[mode] = document.getElementById(
+      `continuousModes-${mode}`,
+    ).checked;
+  }
+
+  const mutationTypes = {};
+  for (const type of MUTATION_TYPES) {
+    mutationTypes[type] = document.getElementById(
+      `mutationTypes-${type}`,
+    ).checked;
+  }
+  if (!Object.values(mutationTypes).some(Boolean)) {
+    throw new Error("Select at least one mutation type.");
+  }
+
+  const settleQuietMs = Number(document.getElementById("settleQuietMs").value);
+  const settleMaxMs = Number(document.getElementById("settleMaxMs").value);
+  if (settleMaxMs <= settleQuietMs) {
+    throw new Error("Give up settling must be longer than the quiet period.");
+  }
+
+  const overlayPosition = document.getElementById("overlayPosition").value;
+  if (!OVERLAY_POSITIONS.includes(overlayPosition)) {
+    throw new Error(`Unknown overlay position: ${overlayPosition}`);
+  }
+  const overlayLayout = document.getElementById("overlayLayout").value;
+  if (!OVERLAY_LAYOUTS.includes(overlayLayout)) {
+    throw new Error(`Unknown overlay layout: ${overlayLayout}`);
+  }
+  const overlayTheme = document.getElementById("overlayTheme").value;
+  if (!OVERLAY_THEMES.includes(overlayTheme)) {
+    throw new Error(`Unknown overlay theme: ${overlayTheme}`);
+  }
+
+  return {
+    timeoutMs: Number(document.getElementById("timeoutMs").value),
+    navigationTimeoutMs: Number(
+      document.getElementById("navigationTimeoutMs").value,
+    ),
+    settleQuietMs,
+    settleMaxMs,
+    paintTiming: document.getElementById("paintTiming").checked,
+    refreshRates: [...new Set(refreshRates)],
+    detectRefreshRate: document.getElementById("detectRefreshRate").checked,
+    overlayPosition,
+    overlayOffset: Number(document.getElementById("overlayOffset").value),
+    overlayLayout,
+    overlayTheme,
+    highlightChanges: document.getElementById("highlightChanges").checked,
+    showAllMutations: document.getElementById("showAllMutations").checked,
+    showWaterfall: document.getElementById("showWaterfall").checked,
+    badgeBudgetMs: Number(document.getElementById("badgeBudgetMs").value),
+    deviceProfile: document.getElementById("deviceProfile").value,
+    pixelRegionSize: Number(document.getElementById("pixelRegionSize").value),
+    pixelChangePercent: Number(
+      document.getElementById("pixelChangePercent").value,
+    ),
+    inputTypes,
+    continuousModes,
+    mutationTypes,
+    budgets: readBudgets(document.getElementById("paintTiming").checked),
+    budgetNotifications: document.getElementById("budgetNotifications").checked,
+    autoEnablePatterns: document
+      .getElementById("autoEnablePatterns")
+      .value.split("\n")
+      .map((pattern) => pattern.trim())
+      .filter(Boolean),
+    siteRules: readSiteRules(),
+  };
+}
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  try {
+    await chrome.storage.sync.set(readForm());
+    showStatus("Saved. Active tabs have been updated.");
+  } catch (err) {
+    showStatus(err.message, true);
+  }
+});
+
+document.getElementById("reset").addEventListener("click", async () => {
+  await chrome.storage.sync.set(DEFAULT_CONFIG);
+  fillForm(DEFAULT_CONFIG);
+  showStatus("Defaults restored.");
+});
+
+for (const profile of DEVICE_PROFILES) {
+  document
+    .getElementById("deviceProfile")
+    .append(new Option(formatDeviceProfile(profile), profile.id));
+}
+
+loadConfig().then(fillForm);
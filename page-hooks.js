@@ -0,0 +1,283 @@
+(function () {
+  // Runs in the page's main world, next to content.js in the isolated world,
+  // because framework devtools hooks and the properties frameworks put on DOM
+  // nodes are only visible from the page's own JavaScript. Reports framework
+  // commits (when a framework wrote a render to the DOM) and the components
+  // they rendered to content.js, which attributes them to the current press.
+
+  // --- Configuration ---
+  const ARM_EVENT = "click-latency-monitor:arm"; // From content.js on each press, detail: JSON {durationMs}
+  const CLEANUP_EVENT = "click-latency-monitor:cleanup"; // From content.js when the monitor is turned off
+  const COMMIT_EVENT = "click-latency-monitor:commit"; // To content.js, detail: JSON commit, see reportCommit()
+  const MAX_COMPONENTS = 10; // Component names reported per commit.
+  const FIBER_WALK_LIMIT = 5000; // React fibers visited per commit at most.
+  // React fiber tags of components that have a name worth reporting
+  const REACT_COMPONENT_TAGS = {
+    0: "function",
+    1: "class",
+    11: "forwardRef",
+    14: "memo",
+    15: "memo",
+  };
+  const REACT_PERFORMED_WORK = 1; // Fiber flag of components that rendered in the commit
+  // Events Svelte 3/4 development builds dispatch for every DOM operation
+  const SVELTE_DOM_EVENTS = [
+    "SvelteDOMInsert",
+    "SvelteDOMRemove",
+    "SvelteDOMSetAttribute",
+    "SvelteDOMRemoveAttribute",
+    "SvelteDOMSetProperty",
+    "SvelteDOMSetData",
+  ];
+
+  // --- Prevent Multiple Instances ---
+  if (window.clickLatencyPageHooksActive) return;
+  window.clickLatencyPageHooksActive = true;
+
+  // --- State Variables ---
+  let armedUntil = 0; // performance.now() until which commits are reported
+  let pendingCommit = null; // Vue / Svelte updates of the current task, reported together
+  let reactHook = null; // The React devtools hook, once wrapped
+  let originalOnCommitFiberRoot = null;
+  let vueHook = null; // The Vue devtools hook, once wrapped
+  let originalVueEmit = null;
+
+  // --- Helper Functions ---
+
+  /**
+   * Whether a press is being measured, so commits are worth reporting.
+   * @returns {boolean}
+   */
+  function isArmed() {
+    return performance.now() < armedUntil;
+  }
+
+  /**
+   * Sends a commit to content.js. CustomEvents are dispatched synchronously
+   * to both worlds; the detail is a string, which crosses them unchanged.
+   * @param {{framework: string, timestamp: number, components: string[], durationMs?: number | null}} commit
+   */
+  function reportCommit(commit) {
+    window.dispatchEvent(
+      new CustomEvent(COMMIT_EVENT, { detail: JSON.stringify(commit) }),
+    );
+  }
+
+  /**
+   * Adds an update to the commit of the current task and reports the commit
+   * once the task is over. Vue and Svelte have no single "commit" callback,
+   * they report each component or DOM operation instead.
+   * @param {string} framework
+   * @param {string | null} component
+   */
+  function addToPendingCommit(framework, component) {
+    const timestamp = performance.now();
+    if (!pendingCommit) {
+      pendingCommit = { framework, timestamp, components: [] };
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        const commit = pendingCommit;
+        pendingCommit = null;
+        if (commit) reportCommit(commit);
+      };
+      channel.port2.postMessage(null);
+    }
+    pendingCommit.timestamp = timestamp; // The commit ends with its last update
+    if (
+      component &&
+      pendingCommit.components.length < MAX_COMPONENTS &&
+      !pendingCommit.components.includes(component)
+    ) {
+      pendingCommit.components.push(component);
+    }
+  }
+
+  // --- React ---
+
+  /**
+   * Returns the display name of a component fiber.
+   * @param {object} fiber
+   * @returns {string | null}
+   */
+  function getReactComponentName(fiber) {
+    let type = fiber.type;
+    if (!type) return null;
+    if (type.displayName) return type.displayName;
+    if (REACT_COMPONENT_TAGS[fiber.tag] === "forwardRef") type = type.render;
+    if (REACT_COMPONENT_TAGS[fiber.tag] === "memo" && type.type) {
+      type = type.type;
+    }
+    return (type && (type.displayName || type.name)) || null;
+  }
+
+  /**
+   * Lists the components that rendered in a commit. Subtrees React bailed
+   * out of still point at the previous commit's children and are skipped.
+   * @param {object} root - The FiberRoot passed to onCommitFiberRoot.
+   * @returns {{components: string[], durationMs: number | null}}
+   */
+  function describeReactCommit(root) {
+    const components = [];
+    let durationMs = null;
+    const stack = root.current ? [root.current] : [];
+    let visited = 0;
+    while (stack.length && visited < FIBER_WALK_LIMIT) {
+      const fiber = stack.pop();
+      visited++;
+      const flags = fiber.flags ?? fiber.effectTag ?? 0;
+      if (
+        fiber.tag in REACT_COMPONENT_TAGS &&
+        (flags & REACT_PERFORMED_WORK || !fiber.alternate)
+      ) {
+        const name = getReactComponentName(fiber);
+        if (
+          name &&
+          components.length < MAX_COMPONENTS &&
+          !components.includes(name)
+        ) {
+          components.push(name);
+        }
+      }
+      if (fiber === root.current && typeof fiber.actualDuration === "number") {
+        durationMs = fiber.actualDuration; // Profiling builds only
+      }
+      if (fiber.sibling) stack.push(fiber.sibling);
+      if (
+        fiber.child &&
+        !(fiber.alternate && fiber.alternate.child === fiber.child)
+      ) {
+        stack.push(fiber.child);
+      }
+    }
+    return { components, durationMs };
+  }
+
+  /**
+   * Wraps onCommitFiberRoot of the React devtools hook, which React calls
+   * after every commit once React DevTools (or another tool) installed it.
+   */
+  function hookReact() {
+    const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (reactHook || !hook || typeof hook.onCommitFiberRoot !== "function") {
+      return;
+    }
+    reactHook = hook;
+    originalOnCommitFiberRoot = hook.onCommitFiberRoot;
+    hook.onCommitFiberRoot = function (rendererId, root, ...rest) {
+      const timestamp = performance.now(); // Before DevTools' own processing
+      const result = originalOnCommitFiberRoot.call(
+        this,
+        rendererId,
+        root,
+        ...rest,
+      );
+      if (isArmed()) {
+        try {
+          reportCommit({
+            framework: "React",
+            timestamp,
+            ...describeReactCommit(root),
+          });
+        } catch (e) {
+          reportCommit({ framework: "React", timestamp, components: [] });
+        }
+      }
+      return result;
+    };
+  }
+
+  // --- Vue ---
+
+  /**
+   * Wraps emit of the Vue devtools hook, which Vue development builds call
+   * for every component added or updated (Vue 3) and every flush (Vue 2).
+   */
+  function hookVue() {
+    const hook = window.__VUE_DEVTOOLS_GLOBAL_HOOK__;
+    if (vueHook || !hook || typeof hook.emit !== "function") return;
+    vueHook = hook;
+    originalVueEmit = hook.emit;
+    hook.emit = function (event, ...args) {
+      if (isArmed()) {
+        if (event === "component:updated" || event === "component:added") {
+          const instance = args[3];
+          const type = instance && instance.type;
+          addToPendingCommit(
+            "Vue",
+            (type && (type.name || type.__name || type.displayName)) || null,
+          );
+        } else if (event === "flush") {
+          addToPendingCommit("Vue", null);
+        }
+      }
+      return originalVueEmit.call(this, event, ...args);
+    };
+  }
+
+  // --- Svelte ---
+
+  /**
+   * Records a DOM operation of a Svelte development build. The component is
+   * named after the file in the element's __svelte_meta.
+   * @param {CustomEvent} event
+   */
+  function onSvelteDomEvent(event) {
+    if (!isArmed()) return;
+    const detail = event.detail || {};
+    let node = detail.node || detail.target;
+    if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentNode;
+    const meta = node && node.__svelte_meta;
+    const file = meta && meta.loc && meta.loc.file;
+    addToPendingCommit(
+      "Svelte",
+      file
+        ? file
+            .split("/")
+            .pop()
+            .replace(/\.svelte$/, "")
+        : null,
+    );
+  }
+
+  // --- Messaging ---
+
+  /**
+   * Starts reporting commits for a press. Hooks that appeared since the page
+   * loaded (e.g. a framework loaded late) are wrapped now.
+   * @param {CustomEvent} event
+   */
+  function onArm(event) {
+    hookReact();
+    hookVue();
+    const { durationMs } = JSON.parse(event.detail);
+    armedUntil = performance.now() + durationMs;
+  }
+
+  /**
+   * Unwraps the hooks and removes the listeners.
+   */
+  function cleanup() {
+    if (reactHook && originalOnCommitFiberRoot) {
+      reactHook.onCommitFiberRoot = originalOnCommitFiberRoot;
+    }
+    if (vueHook && originalVueEmit) vueHook.emit = originalVueEmit;
+    reactHook = null;
+    vueHook = null;
+    window.removeEventListener(ARM_EVENT, onArm);
+    window.removeEventListener(CLEANUP_EVENT, cleanup);
+    for (const type of SVELTE_DOM_EVENTS) {
+      window.removeEventListener(type, onSvelteDomEvent, true);
+    }
+    window.clickLatencyPageHooksActive = false;
+  }
+
+  // --- Start Execution ---
+  window.addEventListener(ARM_EVENT, onArm);
+  window.addEventListener(CLEANUP_EVENT, cleanup);
+  for (const type of SVELTE_DOM_EVENTS) {
+    window.addEventListener(type, onSvelteDomEvent, true);
+  }
+  hookReact();
+  hookVue();
+})();
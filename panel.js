@@ -0,0 +1,397 @@
+// "Click Latency" DevTools panel: a timeline of the inspected tab's
+// interactions. background.js sends the tab's history when the panel
+// connects and then every measurement as content.js records or updates it.
+// While the panel is open the in-page overlay can be hidden, so the monitor
+// doesn't touch the page's DOM.
+
+const tabId = chrome.devtools.inspectedWindow.tabId;
+const timelineElement = document.getElementById("timeline");
+const detailsElement = document.getElementById("details");
+const statusElement = document.getElementById("status");
+const toggleMonitorButton = document.getElementById("toggle-monitor");
+const filterUrlInput = document.getElementById("filter-url");
+const filterSelectorInput = document.getElementById("filter-selector");
+const hideOverlayInput = document.getElementById("hide-overlay");
+const countElement = document.getElementById("count");
+
+const RECONNECT_DELAY_MS = 500; // After the background worker restarted
+const HISTORY_LIMIT = 500; // Measurements kept (mirrors background.js)
+
+let port = null;
+let active = false;
+let inspectedUrl = null; // The inspected tab's current URL
+let measurements = []; // The tab's history, oldest first
+let selectedId = null;
+let renderScheduled = false;
+
+function formatMs(ms) {
+  return ms === null || ms === undefined ? "–" : `${ms.toFixed(1)} ms`;
+}
+
+// Drags, scrolls and hovers are measured per input event; the timeline
+// shows their median
+function isContinuous(measurement) {
+  return (
+    Boolean(measurement.interaction) && measurement.interaction !== "click"
+  );
+}
+
+// Latest point of an interaction on the timeline's scale
+function getEndLatency(measurement) {
+  if (isContinuous(measurement)) return measurement.eventLatencyMedianMs;
+  return (
+    measurement.settledLatencyMs ??
+    measurement.paintLatencyMs ??
+    measurement.latencyMs
+  );
+}
+
+function getFilteredMeasurements() {
+  const url = filterUrlInput.value.trim().toLowerCase();
+  const selector = filterSelectorInput.value.trim().toLowerCase();
+  return measurements.filter(
+    (measurement) =>
+      (!url || (measurement.url || "").toLowerCase().includes(url)) &&
+      (!selector ||
+        (measurement.targetSelector || "").toLowerCase().includes(selector)),
+  );
+}
+
+// Press → DOM, → Paint and → Settled as consecutive segments of one track
+function createTrack(measurement, scaleMs) {
+  const track = document.createElement("div");
+  track.className = "track";
+  const addSegment = (className, fromMs, toMs, title) => {
+    if (toMs === null || toMs === undefined || toMs <= fromMs) return;
+    const segment = document.createElement("span");
+    segment.className = className;
+    segment.style.left = `${(fromMs / scaleMs) * 100}%`;
+    segment.style.width = `${Math.max(0.5, ((toMs - fromMs) / scaleMs) * 100)}%`;
+    segment.title = title;
+    track.append(segment);
+  };
+  if (measurement.timedOut) {
+    addSegment("phase-timeout", 0, scaleMs, "No DOM change (timed out)");
+    return track;
+  }
+  if (isContinuous(measurement)) {
+    const median = measurement.eventLatencyMedianMs;
+    addSegment("phase-dom", 0, median, `Median per event ${formatMs(median)}`);
+    return track;
+  }
+  const dom = measurement.latencyMs;
+  const paint = measurement.paintLatencyMs;
+  addSegment("phase-dom", 0, dom, `Press → DOM ${formatMs(dom)}`);
+  addSegment("phase-paint", dom, paint, `Press → Paint ${formatMs(paint)}`);
+  addSegment(
+    "phase-settled",
+    Math.max(dom, paint ?? dom),
+    measurement.settledLatencyMs,
+    `Press → Settled ${formatMs(measurement.settledLatencyMs)}`,
+  );
+  return track;
+}
+
+function renderTimeline() {
+  renderScheduled = false;
+  const shown = getFilteredMeasurements();
+  const scaleMs = Math.max(
+    1,
+    ...shown
+      .map(getEndLatency)
+      .filter((latency) => latency !== null && latency !== undefined),
+  );
+  // Keep following new interactions unless scrolled up
+  const atBottom =
+    timelineElement.scrollTop + timelineElement.clientHeight >=
+    timelineElement.scrollHeight - 4;
+  timelineElement.replaceChildren();
+  for (const measurement of shown) {
+    const item = document.createElement("li");
+    item.classList.toggle("selected", measurement.id === selectedId);
+    item.classList.toggle("over-budget", Boolean(measurement.budgetViolated));
+    item.title = measurement.url;
+
+    const time = document.createElement("span");
+    time.className = "hint";
+    time.textContent = new Date(measurement.recordedAt).toLocaleTimeString();
+    const target = document.createElement("span");
+    target.className = "target";
+    target.textContent = `${isContinuous(measurement) ? `${measurement.interaction}: ` : ""}${measurement.targetSelector || "(unknown)"}${measurement.synthetic ? " (synthetic)" : ""}`;
+    const latency = document.createElement("span");
+    latency.className = "latency";
+    if (measurement.timedOut) {
+      latency.textContent = "T/O";
+    } else if (isContinuous(measurement)) {
+      latency.textContent = formatMs(measurement.eventLatencyMedianMs);
+      latency.title = "Median per event";
+    } else {
+      latency.textContent = formatMs(measurement.latencyMs);
+    }
+
+    item.append(time, target, createTrack(measurement, scaleMs), latency);
+    item.addEventListener("click", () => selectMeasurement(measurement.id));
+    timelineElement.append(item);
+  }
+  if (atBottom) timelineElement.scrollTop = timelineElement.scrollHeight;
+  countElement.textContent =
+    shown.length === measurements.length
+      ? `${measurements.length} interactions`
+      : `${shown.length} of ${measurements.length} interactions`;
+  renderDetails();
+}
+
+// Measurements arrive several times per interaction; redraw once per frame
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(renderTimeline);
+}
+
+function renderDetails() {
+  const measurement = measurements.find((entry) => entry.id === selectedId);
+  detailsElement.replaceChildren();
+  if (!measurement) {
+    const hint = document.createElement("p");
+    hint.className = "hint";
+    hint.textContent = "Select an interaction to see its details.";
+    detailsElement.append(hint);
+    return;
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "toolbar";
+  const highlight = document.createElement("button");
+  highlight.type = "button";
+  highlight.textContent = "Highlight in page";
+  // The target can only be found again in the document it was pressed in,
+  // by its full path; presses in subframes aren't looked up
+  const inPage =
+    Boolean(measurement.targetPath) &&
+    measurement.topFrame &&
+    measurement.url === inspectedUrl;
+  highlight.disabled = !port || !active || !inPage;
+  highlight.addEventListener("click", () => {
+    port.postMessage({
+      type: "highlight-target",
+      selector: measurement.targetPath,
+    });
+  });
+  const inspect = document.createElement("button");
+  inspect.type = "button";
+  inspect.textContent = "Inspect";
+  // inspect() takes one element; paths into shadow roots need querying by hand
+  inspect.disabled = !inPage || measurement.targetPath.includes(">>>");
+  inspect.addEventListener("click", () => {
+    chrome.devtools.inspectedWindow.eval(
+      `inspect(document.querySelector(${JSON.stringify(measurement.targetPath)}))`,
+    );
+  });
+  actions.append(highlight, inspect);
+
+  const rows = [
+    ["Time", new Date(measurement.recordedAt).toLocaleString()],
+    ["URL", measurement.url],
+    ["Target", measurement.targetSelector],
+    [
+      "Input",
+      `${measurement.inputDetail ? `${measurement.inputType} (${measurement.inputDetail})` : measurement.inputType}${measurement.synthetic ? ", synthetic" : ""}`,
+    ],
+    ["Interaction", measurement.interaction],
+    [
+      "Press → DOM",
+      isContinuous(measurement)
+        ? null
+        : measurement.timedOut
+          ? "timed out"
+          : formatMs(measurement.latencyMs),
+    ],
+    [
+      "Events",
+      isContinuous(measurement)
+        ? `${measurement.updatedEventCount} of ${measurement.eventCount} followed by a change`
+        : null,
+    ],
+    [
+      "Per-event latency",
+      isContinuous(measurement) && measurement.eventLatencyMedianMs !== null
+        ? `med ${formatMs(measurement.eventLatencyMedianMs)}, p95 ${formatMs(measurement.eventLatencyP95Ms)}, max ${formatMs(measurement.eventLatencyMaxMs)}`
+        : null,
+    ],
+    [
+      "Frames behind",
+      isContinuous(measurement) && measurement.framesBehindMedian !== null
+        ? `${measurement.framesBehindMedian} (p95 ${measurement.framesBehindP95}) at ${measurement.framesBehindHz} Hz`
+        : null,
+    ],
+    ["Press → Paint", formatMs(measurement.paintLatencyMs)],
+    [
+      "Press → Pixels",
+      {
+        changed: formatMs(measurement.pixelLatencyMs),
+        unchanged: "no visible change",
+      }[measurement.pixelState],
+    ],
+    ["Press → Settled", formatMs(measurement.settledLatencyMs)],
+    ["Press → Idle", formatMs(measurement.idleLatencyMs)],
+    ["Input → Presented", formatMs(measurement.presentedLatencyMs)],
+    ["Handlers done", formatMs(measurement.handlersLatencyMs)],
+    [
+      "Framework commit",
+      measurement.framework
+        ? `${measurement.framework} ${formatMs(measurement.commitLatencyMs)}${measurement.commitComponents ? ` (${measurement.commitComponents})` : ""}`
+        : null,
+    ],
+    [
+      "Navigation",
+      measurement.navigation
+        ? `${measurement.navigation.type}: ${measurement.navigation.url}`
+        : null,
+    ],
+    ["Changed in frame", measurement.mutationFrameUrl],
+    [
+      "Mutations",
+      (measurement.mutations || [])
+        .map(
+          (mutation) =>
+            `${mutation.type} ${mutation.target || "(detached)"}${mutation.attributeName ? ` [${mutation.attributeName}]` : ""}`,
+        )
+        .join("\n"),
+    ],
+    [
+      "Long tasks",
+      (measurement.longTasks || [])
+        .map(
+          (task) =>
+            `${task.type} ${formatMs(task.duration)}${task.scripts && task.scripts.length ? `: ${task.scripts.map((script) => script.sourceFunctionName || script.invoker).join(", ")}` : ""}`,
+        )
+        .join("\n"),
+    ],
+    [
+      "Requests",
+      (measurement.requests || [])
+        .map(
+          (request) =>
+            `${formatMs(request.duration)} ${request.type} ${request.url}`,
+        )
+        .join("\n"),
+    ],
+    [
+      "Budget",
+      measurement.budgetName || measurement.budgetLimit
+        ? `${measurement.budgetName || "page"}: ${measurement.budgetLimit} to ${measurement.budgetMetric}${measurement.budgetViolated ? ", exceeded" : ""}`
+        : null,
+    ],
+    ["Device", measurement.deviceProfile],
+    ["Site rule", measurement.siteRule],
+    [
+      "Flow",
+      measurement.flowName
+        ? `${measurement.flowName}, step ${measurement.flowStep}`
+        : null,
+    ],
+    [
+      "Benchmark",
+      measurement.benchmarkRun ? `click ${measurement.benchmarkRun}` : null,
+    ],
+  ];
+  const table = document.createElement("table");
+  for (const [label, value] of rows) {
+    if (value === null || value === undefined || value === "") continue;
+    const row = table.insertRow();
+    const header = document.createElement("th");
+    header.textContent = label;
+    row.append(header);
+    row.insertCell().textContent = value;
+  }
+  detailsElement.append(actions, table);
+}
+
+function selectMeasurement(id) {
+  selectedId = id;
+  scheduleRender();
+}
+
+function renderStatus() {
+  statusElement.textContent = active
+    ? "Monitoring this tab"
+    : "The monitor is off in this tab";
+  toggleMonitorButton.textContent = active ? "Turn off" : "Turn on";
+  // Nothing to send the request through until the panel has reconnected
+  toggleMonitorButton.disabled = !port;
+}
+
+// Measurements only match the page while their URL is the tab's current one
+function refreshInspectedUrl() {
+  chrome.devtools.inspectedWindow.eval("location.href", (url, exception) => {
+    if (exception) return;
+    inspectedUrl = url;
+    scheduleRender();
+  });
+}
+
+function onMessage(message) {
+  switch (message.type) {
+    case "status":
+      active = message.active;
+      renderStatus();
+      scheduleRender();
+      break;
+    case "history":
+      measurements = message.measurements;
+      refreshInspectedUrl();
+      scheduleRender();
+      break;
+    case "measurement": {
+      const index = measurements.findIndex(
+        (entry) => entry.id === message.measurement.id,
+      );
+      if (index === -1) {
+        measurements.push(message.measurement);
+        if (measurements.length > HISTORY_LIMIT) measurements.shift();
+      } else {
+        measurements[index] = message.measurement;
+      }
+      // Possibly recorded after a history API navigation
+      refreshInspectedUrl();
+      scheduleRender();
+      break;
+    }
+  }
+}
+
+// The port keeps the panel registered with background.js; when Chrome
+// stops the background worker it disconnects, so connect again
+function connect() {
+  port = chrome.runtime.connect({ name: "devtools-panel" });
+  port.onMessage.addListener(onMessage);
+  port.onDisconnect.addListener(() => {
+    port = null;
+    renderStatus();
+    scheduleRender();
+    setTimeout(connect, RECONNECT_DELAY_MS);
+  });
+  port.postMessage({ type: "init", tabId });
+  renderStatus();
+  scheduleRender();
+}
+
+toggleMonitorButton.addEventListener("click", () => {
+  port.postMessage({ type: "set-monitoring", enabled: !active });
+});
+
+chrome.devtools.network.onNavigated.addListener(refreshInspectedUrl);
+
+filterUrlInput.addEventListener("input", scheduleRender);
+filterSelectorInput.addEventListener("input", scheduleRender);
+
+hideOverlayInput.addEventListener("change", () => {
+  // background.js pushes the setting to the tab
+  chrome.storage.sync.set({ devtoolsHidesOverlay: hideOverlayInput.checked });
+});
+
+loadConfig().then((config) => {
+  hideOverlayInput.checked = config.devtoolsHidesOverlay;
+});
+
+connect();
@@ -0,0 +1,401 @@
+// Popup: switches the monitor on or off for the current tab and shows its
+// latest result and stats. Everything goes through background.js, which owns
+// the active-tab state and the stored history.
+
+const enabledInput = document.getElementById("enabled");
+const statusElement = document.getElementById("status");
+const lastResultElement = document.getElementById("last-result");
+const statsElement = document.getElementById("stats");
+const activeTabsElement = document.getElementById("active-tabs");
+const flowNameInput = document.getElementById("flow-name");
+const recordFlowButton = document.getElementById("record-flow-button");
+const flowStatusElement = document.getElementById("flow-status");
+const flowsElement = document.getElementById("flows");
+const deviceProfileSelect = document.getElementById("device-profile");
+const pixelCaptureInput = document.getElementById("pixel-capture");
+
+// Headings of the continuous interactions, by measurement.interaction
+const CONTINUOUS_NAMES = {
+  drag: "Drag → Move",
+  scroll: "Scroll → DOM",
+  hover: "Hover → DOM",
+};
+
+let tabId = null;
+let config = DEFAULT_CONFIG;
+let recording = null; // {name, steps} while a flow is recorded in this tab
+
+// "12.3 ms (1f@60, 2f@120)" using the frame counts stored with a measurement
+function formatLatency(ms, frames = {}) {
+  if (ms === null || ms === undefined) return "N/A";
+  const counts = Object.entries(frames).map(([hz, n]) => `${n}f@${hz}`);
+  return counts.length
+    ? `${ms.toFixed(1)} ms (${counts.join(", ")})`
+    : `${ms.toFixed(1)} ms`;
+}
+
+// Drags, scrolls and hovers: the distribution of their per-event latencies
+function formatContinuousResult(measurement) {
+  const name = CONTINUOUS_NAMES[measurement.interaction];
+  const target = `${measurement.inputType} on ${measurement.targetSelector || "(unknown)"}`;
+  if (measurement.eventLatencyMedianMs === null) {
+    return [`${name}: ${measurement.eventCount} events, nothing moved`, target];
+  }
+  const stat = (ms) => ms.toFixed(1);
+  return [
+    `${name}: med ${stat(measurement.eventLatencyMedianMs)}  p95 ${stat(measurement.eventLatencyP95Ms)}  max ${stat(measurement.eventLatencyMaxMs)} ms`,
+    `${measurement.framesBehindMedian}f behind (p95 ${measurement.framesBehindP95}f at ${measurement.framesBehindHz} Hz)`,
+    `${measurement.updatedEventCount} of ${measurement.eventCount} events followed by a change`,
+    target,
+  ];
+}
+
+function renderLastResult(measurement) {
+  lastResultElement.replaceChildren();
+  if (!measurement) {
+    lastResultElement.textContent = "Nothing measured in this tab yet.";
+    return;
+  }
+  if (measurement.interaction in CONTINUOUS_NAMES) {
+    lastResultElement.textContent =
+      formatContinuousResult(measurement).join("\n");
+    return;
+  }
+  const input = measurement.inputDetail
+    ? `${measurement.inputType} (${measurement.inputDetail})`
+    : measurement.inputType;
+  const source = measurement.synthetic ? " (synthetic)" : "";
+  const lines = [];
+  if (measurement.timedOut) {
+    lines.push("No DOM change (timed out)");
+  } else {
+    lines.push(
+      `Press → DOM:     ${formatLatency(measurement.latencyMs, measurement.frames)}`,
+    );
+    if (measurement.paintLatencyMs !== null) {
+      lines.push(
+        `Press → Paint:   ${formatLatency(measurement.paintLatencyMs)}`,
+      );
+    }
+    if (typeof measurement.settledLatencyMs === "number") {
+      lines.push(
+        `Press → Settled: ${formatLatency(measurement.settledLatencyMs)}`,
+      );
+    }
+  }
+  if (measurement.pixelState === "changed") {
+    lines.push(`Press → Pixels:  ${formatLatency(measurement.pixelLatencyMs)}`);
+  }
+  lines.push(
+    `${input}${source} on ${measurement.targetSelector || "(unknown)"}`,
+  );
+
+  if (!measurement.timedOut) {
+    const rating = document.createElement("span");
+    rating.className = `rating ${rateLatency(measurement.latencyMs, config.badgeBudgetMs)}`;
+    rating.title = `Budget ${config.badgeBudgetMs} ms`;
+    lastResultElement.append(rating);
+  }
+  lastResultElement.append(lines.join("\n"));
+}
+
+// Stats for real input only; benchmark clicks are synthetic
+function renderStats(allMeasurements) {
+  const measurements = allMeasurements.filter((entry) => !entry.synthetic);
+  const synthetic = allMeasurements.length - measurements.length;
+  const latencies = measurements
+    .filter((entry) => entry.latencyMs !== null)
+    .map((entry) => entry.latencyMs)
+    .sort((a, b) => a - b);
+  const timeouts = measurements.filter((entry) => entry.timedOut).length;
+  const lines = [`${latencies.length} measured, ${timeouts} timed out`];
+  if (synthetic) lines.push(`${synthetic} synthetic (benchmark) not included`);
+  if (latencies.length) {
+    const stat = (value) => value.toFixed(1);
+    const withinBudget = latencies.filter(
+      (latency) => latency <= config.badgeBudgetMs,
+    ).length;
+    lines.push(
+      `med ${stat(percentile(latencies, 50))}  p95 ${stat(percentile(latencies, 95))}  max ${stat(latencies[latencies.length - 1])} ms`,
+    );
+    lines.push(
+      `${withinBudget} of ${latencies.length} within ${config.badgeBudgetMs} ms`,
+    );
+  }
+  statsElement.textContent = lines.join("\n");
+}
+
+function renderActiveTabs(tabs) {
+  activeTabsElement.replaceChildren();
+  if (!tabs.length) {
+    const item = document.createElement("li");
+    item.className = "hint";
+    item.textContent = "No tabs";
+    activeTabsElement.append(item);
+    return;
+  }
+  for (const tab of tabs) {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = tab.id === tabId ? `${tab.title} (this tab)` : tab.title;
+    link.title = tab.url;
+    link.addEventListener("click", async (event) => {
+      event.preventDefault();
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      window.close();
+    });
+    const item = document.createElement("li");
+    item.append(link);
+    activeTabsElement.append(item);
+  }
+}
+
+function renderRecording(status) {
+  recording = status.recording;
+  flowNameInput.hidden = Boolean(recording);
+  recordFlowButton.textContent = recording ? "Stop and save" : "Record";
+  recordFlowButton.disabled = !recording && !status.active;
+  if (recording) {
+    flowStatusElement.textContent = `Recording "${recording.name}": ${recording.steps} clicks`;
+  }
+}
+
+// Download a flow as JSON, e.g. for the automation harness
+function exportFlow(flow) {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(flow, null, 2)], { type: "application/json" }),
+  );
+  const name = flow.name.replace(/[^\w.-]+/g, "-").toLowerCase();
+  chrome.downloads.download({
+    url,
+    filename: `click-latency-flow-${name}.json`,
+  });
+}
+
+function renderFlows(flows) {
+  flowsElement.replaceChildren();
+  for (const flow of flows) {
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = `${flow.name} (${flow.steps.length} steps)`;
+    name.title = flow.url;
+    const item = document.createElement("li");
+    item.className = "flow";
+    item.append(name);
+    const actions = {
+      Replay: async () => {
+        flowStatusElement.textContent = `Replaying "${flow.name}"…`;
+        const response = await chrome.runtime.sendMessage({
+          type: "replay-flow",
+          tabId,
+          flowId: flow.id,
+        });
+        if (!response.ok) {
+          flowStatusElement.textContent = `Could not replay: ${response.error}`;
+        }
+      },
+      Export: () => exportFlow(flow),
+      Delete: async () => {
+        const stored = await chrome.storage.local.get(SAVED_FLOWS_KEY);
+        await chrome.storage.local.set({
+          [SAVED_FLOWS_KEY]: (stored[SAVED_FLOWS_KEY] || []).filter(
+            (entry) => entry.id !== flow.id,
+          ),
+        });
+      },
+    };
+    for (const [label, action] of Object.entries(actions)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = label;
+      button.addEventListener("click", action);
+      item.append(button);
+    }
+    flowsElement.append(item);
+  }
+}
+
+async function loadFlows() {
+  const stored = await chrome.storage.local.get(SAVED_FLOWS_KEY);
+  renderFlows(stored[SAVED_FLOWS_KEY] || []);
+}
+
+async function refresh() {
+  if (tabId === null) return; // Still looking up the tab
+  const status = await chrome.runtime.sendMessage({
+    type: "get-popup-status",
+    tabId,
+  });
+  if (status.error) {
+    // E.g. the tab was closed meanwhile
+    statusElement.textContent = `Could not load the tab's status: ${status.error}`;
+    return;
+  }
+  enabledInput.checked = status.active;
+  enabledInput.disabled = status.restricted;
+  deviceProfileSelect.value = status.deviceProfile || config.deviceProfile;
+  deviceProfileSelect.disabled = !status.active;
+  pixelCaptureInput.checked = status.pixelCapture;
+  pixelCaptureInput.disabled = !status.active;
+  document.getElementById("toggle-history").disabled = !status.active;
+  document.querySelector("#benchmark button[type=submit]").disabled =
+    !status.active;
+  document.querySelector("#save-session button[type=submit]").disabled =
+    !status.measurements.length;
+  statusElement.textContent = status.restricted
+    ? "Chrome doesn't allow extensions to run on this page."
+    : "";
+  renderLastResult(status.measurements[status.measurements.length - 1]);
+  renderStats(status.measurements);
+  renderActiveTabs(status.activeTabs);
+  renderRecording(status);
+}
+
+enabledInput.addEventListener("change", async () => {
+  enabledInput.disabled = true;
+  const { active } = await chrome.runtime.sendMessage({
+    type: "set-monitoring",
+    tabId,
+    enabled: enabledInput.checked,
+  });
+  if (active === "restricted") {
+    statusElement.textContent =
+      "Chrome doesn't allow extensions to run on this page.";
+  }
+  await refresh();
+  enabledInput.disabled = active === "restricted";
+});
+
+// Slow the tab down (or stop doing so) while it is monitored
+deviceProfileSelect.addEventListener("change", async () => {
+  deviceProfileSelect.disabled = true;
+  const { ok, error } = await chrome.runtime.sendMessage({
+    type: "set-device-profile",
+    tabId,
+    profileId: deviceProfileSelect.value,
+  });
+  statusElement.textContent = ok ? "" : `Could not simulate: ${error}`;
+  await refresh();
+});
+
+// Capture the tab's frames to catch changes that don't touch the DOM, like
+// canvas redraws. Chrome shows that the tab is being shared meanwhile.
+pixelCaptureInput.addEventListener("change", async () => {
+  pixelCaptureInput.disabled = true;
+  const { ok, error } = await chrome.runtime.sendMessage({
+    type: "set-pixel-capture",
+    tabId,
+    enabled: pixelCaptureInput.checked,
+  });
+  statusElement.textContent = ok ? "" : `Could not capture the tab: ${error}`;
+  await refresh();
+});
+
+document.getElementById("toggle-history").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "toggle-history", tabId });
+});
+
+for (const button of document.querySelectorAll("[data-export]")) {
+  button.addEventListener("click", () => {
+    chrome.runtime.sendMessage({
+      type: "export",
+      tabId,
+      formats: [button.dataset.export],
+    });
+  });
+}
+
+document
+  .getElementById("benchmark")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const options = {
+      runs: Number(document.getElementById("benchmarkRuns").value),
+      gapMs: Number(document.getElementById("benchmarkGapMs").value),
+      reset: document.getElementById("benchmarkReset").value,
+    };
+    await chrome.storage.sync.set({
+      benchmarkRuns: options.runs,
+      benchmarkGapMs: options.gapMs,
+      benchmarkReset: options.reset,
+    });
+    chrome.runtime.sendMessage({ type: "start-benchmark", tabId, options });
+    window.close(); // Out of the way of the element picker
+  });
+
+document
+  .getElementById("save-session")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const nameInput = document.getElementById("session-name");
+    const sessionStatus = document.getElementById("session-status");
+    const { saved, count, error } = await chrome.runtime.sendMessage({
+      type: "save-session",
+      tabId,
+      name: nameInput.value.trim(),
+    });
+    if (saved) {
+      sessionStatus.textContent = `Saved ${count} measurements.`;
+      nameInput.value = "";
+    } else {
+      sessionStatus.textContent = error
+        ? `Could not save: ${error}`
+        : "Nothing to save yet.";
+    }
+  });
+
+document
+  .getElementById("record-flow")
+  .addEventListener("submit", async (event) => {
+    event.preventDefault();
+    recordFlowButton.disabled = true;
+    if (recording) {
+      const { saved, steps } = await chrome.runtime.sendMessage({
+        type: "stop-recording",
+        tabId,
+      });
+      flowStatusElement.textContent = saved
+        ? `Saved a flow of ${steps} steps.`
+        : "No clicks were recorded.";
+    } else {
+      await chrome.runtime.sendMessage({
+        type: "start-recording",
+        tabId,
+        name: flowNameInput.value.trim(),
+      });
+      flowNameInput.value = "";
+    }
+    await refresh();
+  });
+
+document.getElementById("open-compare").addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("compare.html") });
+  window.close();
+});
+
+document.getElementById("open-options").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// New measurements and recorded clicks are written to session storage,
+// flows to local storage; redraw as they arrive
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "session") refresh();
+  if (areaName === "local" && changes[SAVED_FLOWS_KEY]) loadFlows();
+});
+
+(async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  tabId = tab.id;
+  config = await loadConfig();
+  for (const profile of DEVICE_PROFILES) {
+    deviceProfileSelect.append(
+      new Option(formatDeviceProfile(profile), profile.id),
+    );
+  }
+  document.getElementById("benchmarkRuns").value = config.benchmarkRuns;
+  document.getElementById("benchmarkGapMs").value = config.benchmarkGapMs;
+  document.getElementById("benchmarkReset").value = config.benchmarkReset;
+  await Promise.all([refresh(), loadFlows()]);
+})();
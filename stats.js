@@ -0,0 +1,76 @@
+// Summary statistics for lists of latencies, shared by the popup and the
+// comparison page. Plain globals, like config.js.
+
+// Two sessions differ significantly when the Mann-Whitney p-value is below this
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Fewer latencies than this on either side are not tested for significance
+const MIN_SAMPLES_FOR_TEST = 5;
+
+// Value at the given percentile of an ascending list (nearest rank)
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26,
+// accurate to about 1e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided Mann-Whitney U test of two samples, using the normal
+// approximation with tie and continuity corrections. `probabilityBLower` is
+// the chance that a random value from b is below one from a (0.5 = no shift).
+// Returns null when either sample is too small to test.
+function mannWhitney(a, b) {
+  if (a.length < MIN_SAMPLES_FOR_TEST || b.length < MIN_SAMPLES_FOR_TEST) {
+    return null;
+  }
+  const values = [
+    ...a.map((value) => ({ value, group: 0 })),
+    ...b.map((value) => ({ value, group: 1 })),
+  ].sort((x, y) => x.value - y.value);
+  const n = values.length;
+
+  // Average ranks over ties, and collect tie sizes for the variance
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let start = 0; start < n;) {
+    let end = start;
+    while (end + 1 < n && values[end + 1].value === values[start].value) end++;
+    const ties = end - start + 1;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      if (values[i].group === 0) rankSumA += rank;
+    }
+    tieTerm += ties ** 3 - ties;
+    start = end + 1;
+  }
+
+  const uA = rankSumA - (a.length * (a.length + 1)) / 2;
+  const mean = (a.length * b.length) / 2;
+  const variance =
+    ((a.length * b.length) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+  if (variance === 0) {
+    return { u: uA, z: 0, p: 1, probabilityBLower: 0.5 };
+  }
+  const difference = Math.abs(uA - mean);
+  const z = Math.max(0, difference - 0.5) / Math.sqrt(variance);
+  return {
+    u: uA,
+    z: uA >= mean ? z : -z,
+    p: Math.min(1, 2 * (1 - normalCdf(z))),
+    probabilityBLower: uA / (a.length * b.length),
+  };
+}